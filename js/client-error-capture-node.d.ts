@@ -0,0 +1,85 @@
+import type { ClientErrorCaptureConfig, ClientErrorCaptureInterface, Transport } from './client-error-capture';
+
+/**
+ * Node.js用の設定オプション
+ */
+export interface ServerErrorCaptureConfig extends Omit<ClientErrorCaptureConfig, 'transport'> {
+  /**
+   * 送信方法。"http"はhttp/httpsモジュール、"fetch"はグローバルのfetch（Node.js 18以降）、またはsend(payload, meta)を持つ独自トランスポート
+   * @default 'http'
+   */
+  transport?: 'http' | 'fetch' | Transport;
+
+  /**
+   * 未キャッチ例外の送信後、Node.jsの既定の動作と同様にプロセスを終了するかどうか
+   * 他にuncaughtExceptionリスナーが登録されている場合は終了しません
+   * @default true
+   */
+  exitOnUncaughtException?: boolean;
+
+  /**
+   * 終了前・flush()で未送信のエラーの送信を待つ最大時間（ミリ秒）
+   * @default 2000
+   */
+  shutdownTimeoutMs?: number;
+}
+
+/**
+ * runWithRequestに渡すリクエスト（IncomingMessage、fetchのRequest、Next.jsのonRequestErrorのrequest等）
+ */
+export interface ServerRequestLike {
+  method?: string;
+  url?: string;
+  path?: string;
+  headers?: Record<string, string | string[] | undefined> | { get(name: string): string | null };
+}
+
+/**
+ * Node.js用のClientErrorCaptureインターフェース
+ */
+export interface ServerErrorCaptureInterface
+  extends Omit<ClientErrorCaptureInterface, 'init' | 'updateConfig' | 'createClient' | 'attachWorker' | 'transports'> {
+  /**
+   * ライブラリを初期化し、process.on("uncaughtException"/"unhandledRejection")でハンドラを登録する
+   * @param config ユーザー設定
+   */
+  init(config?: ServerErrorCaptureConfig): ServerErrorCaptureInterface;
+
+  /**
+   * 設定を更新する
+   * @param newConfig 新しい設定
+   */
+  updateConfig(newConfig: Partial<ServerErrorCaptureConfig>): ServerErrorCaptureInterface;
+
+  /**
+   * callback内（非同期処理を含む）で発生したエラーにリクエスト情報を付与する
+   * @param request リクエスト
+   * @param callback 実行する関数
+   */
+  runWithRequest<T>(request: ServerRequestLike, callback: () => T): T;
+
+  /**
+   * 未送信のエラーを送信し、キューが空になるまで待つ
+   * @param timeoutMs 待機する最大時間（省略時はshutdownTimeoutMs）
+   * @return 時間内にすべて送信できた場合true
+   */
+  flush(timeoutMs?: number): Promise<boolean>;
+
+  /**
+   * 独立した状態を持つサーバー用クライアントを作成する
+   * @param config ユーザー設定（指定した場合はinit済みのクライアントを返す）
+   */
+  createClient(config?: ServerErrorCaptureConfig): ServerErrorCaptureInterface;
+
+  /**
+   * 組み込みトランスポート
+   */
+  transports: {
+    http: Transport;
+    fetch: Transport;
+  };
+}
+
+declare const ServerErrorCapture: ServerErrorCaptureInterface;
+
+export default ServerErrorCapture;
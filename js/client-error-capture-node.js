@@ -0,0 +1,427 @@
+/**
+ * @file client-error-capture-node.js
+ * @description Node.js（サーバーサイド・SSR）で未キャッチ例外・Promise拒否を捕捉し、ブラウザ版と同じ形式でログサーバーに送信するためのエントリポイント
+ * @version 1.4.0
+ * @license MIT
+ */
+
+"use strict";
+
+var http = require("http");
+var https = require("https");
+var os = require("os");
+var AsyncLocalStorage = require("async_hooks").AsyncLocalStorage;
+var ClientErrorCapture = require("./client-error-capture.js");
+
+/**
+ * runWithRequestで設定したリクエスト情報（非同期処理をまたいで参照する）
+ */
+var requestStorage = new AsyncLocalStorage();
+
+/**
+ * このモジュールがprocessに登録したハンドラ（他のライブラリのリスナーと区別する）
+ */
+var ownHandlers = new WeakSet();
+
+/**
+ * init済みのサーバー用クライアント一覧（終了前の送信に使用）
+ */
+var serverClients = [];
+
+/**
+ * 未キャッチ例外による終了処理を開始したかどうか
+ */
+var fatalExitScheduled = false;
+
+/**
+ * 送信リクエストのタイムアウト(ms)（応答がない場合にキューが止まらないようにする）
+ */
+var REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Node.js用のClientErrorCapture（ブラウザ版のメソッド・送信パイプラインを継承する）
+ */
+var ServerErrorCapture = ClientErrorCapture.createClient();
+
+var serverMethods = {
+  /**
+   * デフォルト設定（ブラウザ版の設定にサーバー向けの値を上書き）
+   */
+  defaultConfig: ClientErrorCapture._mergeConfig(ClientErrorCapture.defaultConfig, {
+    transport: "http", // 送信方法（"http": http/httpsモジュール, "fetch": グローバルのfetch, または send(payload, meta)を持つオブジェクト）
+    maxErrorsPerSession: 0, // サーバーのプロセスは長時間動作するため、上限はデフォルトで無効（フィンガープリントごとのレート制限は有効）
+    flushOnUnload: false, // ページ離脱がないため無効
+    breadcrumbTypes: ["console"], // サーバーではconsoleのみ記録
+    exitOnUncaughtException: true, // 未キャッチ例外の送信後、Node.jsの既定の動作と同様にプロセスを終了するか
+    shutdownTimeoutMs: 2000, // 終了前に未送信のエラーの送信を待つ最大時間(ms)
+  }),
+
+  /**
+   * デフォルトプラグイン（サーバーには利用者ごとのセッションがないため、sessionプラグインは除く）
+   */
+  defaultPlugins: ClientErrorCapture.defaultPlugins.filter(function (plugin) {
+    return plugin.name !== "session";
+  }),
+
+  /**
+   * ライブラリを初期化する
+   * @param {Object} userConfig ユーザー設定
+   * @return {Object} ServerErrorCaptureインスタンス
+   */
+  init: function (userConfig) {
+    ClientErrorCapture.init.call(this, userConfig);
+    if (this.initialized && serverClients.indexOf(this) === -1) {
+      serverClients.push(this);
+    }
+    return this;
+  },
+
+  /**
+   * process.on("uncaughtException"/"unhandledRejection")でハンドラを登録する
+   * @private
+   */
+  _installHandler: function () {
+    this._uninstallHandler();
+
+    var self = this;
+    var handlers = { mode: "process", uncaughtException: null, unhandledRejection: null };
+
+    handlers.uncaughtException = function (error) {
+      self._handleGlobalError({
+        type: "uncaught",
+        message: error instanceof Error ? error.message : String(error),
+        error: error,
+      });
+      self._exitOnFatalError(error);
+    };
+    ownHandlers.add(handlers.uncaughtException);
+    process.on("uncaughtException", handlers.uncaughtException);
+
+    // ハンドラを登録するとNode.jsの既定の動作（プロセス終了）は行われず、送信後に処理を続行する
+    if (this.config.handlePromiseRejections) {
+      handlers.unhandledRejection = function (reason) {
+        self._handleGlobalError(self._createRejectionErrorData({ reason: reason }));
+      };
+      ownHandlers.add(handlers.unhandledRejection);
+      process.on("unhandledRejection", handlers.unhandledRejection);
+    }
+
+    this._globalHandlers = handlers;
+  },
+
+  /**
+   * processに登録したハンドラを解除する
+   * @private
+   */
+  _uninstallHandler: function () {
+    var handlers = this._globalHandlers;
+    if (!handlers) {
+      return;
+    }
+    this._globalHandlers = null;
+
+    process.removeListener("uncaughtException", handlers.uncaughtException);
+    if (handlers.unhandledRejection) {
+      process.removeListener("unhandledRejection", handlers.unhandledRejection);
+    }
+  },
+
+  /**
+   * 未キャッチ例外の後、未送信のエラーを送信してからプロセスを終了する
+   * 他のライブラリがuncaughtExceptionリスナーを登録している場合は、終了の判断をそちらに任せる
+   * @param {*} error 未キャッチ例外
+   * @private
+   */
+  _exitOnFatalError: function (error) {
+    if (!this.config.exitOnUncaughtException || fatalExitScheduled) {
+      return;
+    }
+    var otherListeners = process.listeners("uncaughtException").filter(function (listener) {
+      return !ownHandlers.has(listener);
+    });
+    if (otherListeners.length > 0) {
+      return;
+    }
+    fatalExitScheduled = true;
+
+    // リスナーを登録するとNode.jsはエラーを出力しないため、既定の動作と同様に出力する
+    this._callConsole("error", [error]);
+
+    var timeoutMs = this.config.shutdownTimeoutMs;
+    Promise.all(
+      serverClients.map(function (client) {
+        return client.flush(timeoutMs);
+      })
+    ).then(function () {
+      process.exit(1);
+    });
+  },
+
+  /**
+   * サーバーではconsoleの計装のみ行う（DOM・fetch/XHRの計装は行わない）
+   * @private
+   */
+  _installInstrumentation: function () {
+    this._uninstallInstrumentation();
+
+    var types = this.config.breadcrumbs ? this.config.breadcrumbTypes || [] : [];
+    try {
+      if (types.indexOf("console") !== -1 || this.config.captureConsole) this._instrumentConsole();
+    } catch (instrumentError) {
+      if (this.config.logToConsole) {
+        this._log("Failed to install instrumentation:", instrumentError);
+      }
+    }
+  },
+
+  /**
+   * エラー情報をフォーマットし、ランタイム情報とリクエスト情報を付与する
+   * @param {Object} errorData エラーデータ
+   * @private
+   * @return {Object} フォーマット済みのエラー情報
+   */
+  _formatErrorInfo: function (errorData) {
+    var errorInfo = ClientErrorCapture._formatErrorInfo.call(this, errorData);
+    var request = this._getRequestInfo();
+
+    errorInfo.meta.runtime = this._getRuntimeInfo();
+    if (request) {
+      errorInfo.meta.request = request;
+    }
+    return errorInfo;
+  },
+
+  /**
+   * ランタイム情報を取得する
+   * @private
+   * @return {Object} ランタイム情報
+   */
+  _getRuntimeInfo: function () {
+    var hostname;
+    try {
+      hostname = os.hostname();
+    } catch (_) {
+      hostname = undefined;
+    }
+
+    return {
+      name: "node",
+      version: process.version,
+      platform: process.platform,
+      arch: process.arch,
+      hostname: hostname,
+      pid: process.pid,
+    };
+  },
+
+  /**
+   * runWithRequestで設定したリクエスト情報を取得する
+   * @private
+   * @return {Object|null} method, urlを含むオブジェクト（リクエスト外の場合null）
+   */
+  _getRequestInfo: function () {
+    var request = requestStorage.getStore();
+    return request ? { method: request.method, url: request.url } : null;
+  },
+
+  /**
+   * リクエストオブジェクトからmethodと絶対URLを取り出す
+   * Node.jsのIncomingMessage、fetchのRequest、Next.jsのonRequestErrorのrequestに対応する
+   * @param {Object} request リクエスト
+   * @private
+   * @return {Object} method, urlを含むオブジェクト
+   */
+  _toRequestInfo: function (request) {
+    var headers = (request && request.headers) || {};
+    var getHeader = function (name) {
+      var value = typeof headers.get === "function" ? headers.get(name) : headers[name];
+      return value ? String(value).split(",")[0].trim() : "";
+    };
+
+    var url = String((request && (request.url || request.path)) || "");
+    // IncomingMessage等のパスのみのURLは、Hostヘッダーから絶対URLにする
+    if (url.charAt(0) === "/") {
+      var host = getHeader("x-forwarded-host") || getHeader("host");
+      if (host) {
+        var protocol =
+          getHeader("x-forwarded-proto") || (request.socket && request.socket.encrypted ? "https" : "http");
+        url = protocol + "://" + host + url;
+      }
+    }
+
+    return {
+      method: request && request.method ? String(request.method).toUpperCase() : undefined,
+      url: url,
+    };
+  },
+
+  /**
+   * 現在のリクエストのURLを取得する（meta.url・meta.sourceに使用）
+   * @private
+   * @return {String} URL（リクエスト外の場合は空文字列）
+   */
+  _getCurrentHref: function () {
+    var request = requestStorage.getStore();
+    return (request && request.url) || "";
+  },
+
+  /**
+   * サーバーにはブラウザ情報がないため付与しない
+   * @private
+   * @return {undefined}
+   */
+  _getBrowserInfo: function () {
+    return undefined;
+  },
+
+  /**
+   * デバイスIDを取得する（サーバーではプロセスごとに生成したIDを使う）
+   * @private
+   * @return {String} deviceId
+   */
+  _getOrCreateDeviceId: function () {
+    return this.deviceId || "device-" + this._generateEventId();
+  },
+
+  /**
+   * 設定されたトランスポートを取得
+   * @private
+   * @return {Object} send(payload, meta)を持つトランスポート
+   */
+  _getTransport: function () {
+    var transport = this.config.transport;
+    if (transport && typeof transport.send === "function") {
+      return transport;
+    }
+    if (typeof transport === "string" && this.transports[transport]) {
+      return this.transports[transport];
+    }
+    return this.transports.http;
+  },
+
+  /**
+   * 組み込みトランスポート
+   * send(payload, meta)はpayload（送信ペイロード、バッチの場合は配列）と
+   * meta（url, headers, body, contentType, batch）を受け取り、送信完了で解決するPromiseを返す
+   */
+  transports: {
+    /**
+     * http/httpsモジュールで送信（デフォルト）
+     */
+    http: {
+      send: function (payload, meta) {
+        return new Promise(function (resolve, reject) {
+          var target = new URL(meta.url);
+          var headers = Object.assign({}, meta.headers, { "Content-Length": Buffer.byteLength(meta.body) });
+          var client = target.protocol === "https:" ? https : http;
+
+          var req = client.request(target, { method: "POST", headers: headers }, function (res) {
+            // レスポンス本文は使用しないため読み捨てる
+            res.resume();
+            res.on("end", function () {
+              if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve(res.statusCode);
+              } else {
+                reject(new Error("HTTP error: " + res.statusCode));
+              }
+            });
+          });
+
+          req.setTimeout(REQUEST_TIMEOUT_MS, function () {
+            req.destroy(new Error("Request timed out"));
+          });
+          req.on("error", reject);
+          req.end(meta.body);
+        });
+      },
+    },
+
+    /**
+     * グローバルのfetchで送信（Node.js 18以降）
+     */
+    fetch: {
+      send: function (payload, meta) {
+        return fetch(meta.url, {
+          method: "POST",
+          headers: meta.headers,
+          body: meta.body,
+        }).then(function (response) {
+          if (!response.ok) {
+            throw new Error("HTTP error: " + response.status);
+          }
+          return response;
+        });
+      },
+    },
+  },
+
+  /**
+   * リクエストの処理中に発生したエラーにリクエスト情報（meta.request、meta.url）を付与する
+   * callback内の非同期処理で発生したエラーにも付与される
+   * @param {Object} request IncomingMessage、fetchのRequest、またはmethod/url(path)/headersを持つオブジェクト
+   * @param {Function} callback 実行する関数
+   * @return {*} callbackの戻り値
+   */
+  runWithRequest: function (request, callback) {
+    return requestStorage.run(this._toRequestInfo(request), callback);
+  },
+
+  /**
+   * 未送信のエラーを送信し、キューが空になるまで待つ
+   * @param {Number} timeoutMs 待機する最大時間(ms)（省略時はshutdownTimeoutMs）
+   * @return {Promise<Boolean>} 時間内にすべて送信できた場合true
+   */
+  flush: function (timeoutMs) {
+    var self = this;
+    if (!this.initialized) {
+      return Promise.resolve(true);
+    }
+
+    // 集約中の重複と送信待ちの"budget_exceeded"イベントも送信対象にする
+    this._flushDedupeEntries();
+    var budgetReport = this._takeBudgetReport();
+    if (budgetReport) {
+      this.errorQueue.push(budgetReport);
+    }
+    if (this._batchTimer) {
+      clearTimeout(this._batchTimer);
+      this._batchTimer = null;
+    }
+    this._resumeQueue();
+
+    var deadline = Date.now() + (typeof timeoutMs === "number" ? timeoutMs : this.config.shutdownTimeoutMs);
+    return new Promise(function (resolve) {
+      var check = function () {
+        if (self.errorQueue.length === 0 && !self.isProcessingQueue) {
+          resolve(true);
+        } else if (Date.now() >= deadline) {
+          resolve(false);
+        } else {
+          setTimeout(check, 10);
+        }
+      };
+      check();
+    });
+  },
+
+  /**
+   * 独立した状態を持つサーバー用クライアントを作成する
+   * @param {Object} config ユーザー設定（指定した場合はinit済みのクライアントを返す）
+   * @return {Object} クライアント
+   */
+  createClient: function (config) {
+    var client = Object.create(ServerErrorCapture);
+    var state = ClientErrorCapture._createState();
+    for (var key in state) {
+      if (Object.prototype.hasOwnProperty.call(state, key)) {
+        client[key] = state[key];
+      }
+    }
+
+    return config ? client.init(config) : client;
+  },
+};
+
+Object.assign(ServerErrorCapture, serverMethods);
+
+module.exports = ServerErrorCapture;
@@ -0,0 +1,36 @@
+import type { Component, ReactNode } from 'react';
+import type {
+  ClientErrorCaptureBoundaryProps,
+  ClientErrorCaptureInterface,
+  ReactRootErrorHandlers,
+  UseErrorCaptureResult
+} from './client-error-capture';
+
+/**
+ * 子コンポーネントのレンダリング中のエラーを捕捉し、componentStackをmetaに付けて送信するエラーバウンダリ
+ */
+export declare class ClientErrorCaptureBoundary extends Component<
+  ClientErrorCaptureBoundaryProps<ReactNode>,
+  { error: unknown; componentStack: string | null }
+> {
+  /**
+   * エラー状態を解除して子コンポーネントを再レンダリングする
+   */
+  resetError(): void;
+}
+
+/**
+ * コンポーネントからエラーを送信するためのフック
+ * @param client 送信に使用するクライアント（省略時はClientErrorCapture）
+ */
+export declare function useErrorCapture(client?: ClientErrorCaptureInterface): UseErrorCaptureResult;
+
+/**
+ * createRoot/hydrateRootのオプションにエラーを送信するonUncaughtError/onRecoverableErrorを追加する
+ * @param rootOptions createRoot/hydrateRootのオプション（指定済みのハンドラは送信後に呼び出されます）
+ * @param client 送信に使用するクライアント（省略時はClientErrorCapture）
+ */
+export declare function withErrorCapture<T extends object = {}>(
+  rootOptions?: T & ReactRootErrorHandlers,
+  client?: ClientErrorCaptureInterface
+): T & Required<ReactRootErrorHandlers>;
@@ -0,0 +1,174 @@
+/**
+ * @file client-error-capture-react.js
+ * @description ClientErrorCaptureのReact連携（エラーバウンダリ・フック・ルートのエラーハンドラ）
+ * @version 1.4.0
+ * @license MIT
+ */
+
+(function (global, factory) {
+  // UMD (Universal Module Definition)パターンでの実装
+  // ReactとClientErrorCaptureはCommonJS/AMDでは依存モジュール、グローバル変数の場合はwindow.React/window.ClientErrorCaptureを使用
+  if (typeof define === "function" && define.amd) {
+    define(["react", "./client-error-capture"], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("react"), require("./client-error-capture.js"));
+  } else {
+    global.ClientErrorCaptureReact = factory(global.React, global.ClientErrorCapture);
+  }
+})(typeof self !== "undefined" ? self : this, function (React, ClientErrorCapture) {
+  "use strict";
+
+  /**
+   * エラーバウンダリの初期状態
+   */
+  var initialState = { error: null, componentStack: null };
+
+  /**
+   * 子コンポーネントのレンダリング中のエラーを捕捉し、componentStackをmetaに付けて送信するエラーバウンダリ
+   * props:
+   * - fallback: エラー時に表示する要素、または({ error, componentStack, resetError })を受け取る関数
+   * - onReset: resetErrorでエラー状態を解除したときに呼ばれる関数
+   * - onError: エラーを捕捉したときに呼ばれる関数(error, componentStack)
+   * - additionalInfo: エラーに付与する追加情報
+   * - client: 送信に使用するクライアント（省略時はClientErrorCapture）
+   */
+  class ClientErrorCaptureBoundary extends React.Component {
+    constructor(props) {
+      super(props);
+      this.state = initialState;
+      this.resetError = this.resetError.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+      return { error: error };
+    }
+
+    componentDidCatch(error, errorInfo) {
+      var componentStack = (errorInfo && errorInfo.componentStack) || "";
+      var client = this.props.client || ClientErrorCapture;
+
+      client.captureError(error, {
+        ...(this.props.additionalInfo || {}),
+        componentStack: componentStack,
+        mechanism: "errorBoundary",
+      });
+      this.setState({ componentStack: componentStack });
+
+      if (typeof this.props.onError === "function") {
+        this.props.onError(error, componentStack);
+      }
+    }
+
+    /**
+     * エラー状態を解除して子コンポーネントを再レンダリングする
+     */
+    resetError() {
+      this.setState(initialState);
+      if (typeof this.props.onReset === "function") {
+        this.props.onReset();
+      }
+    }
+
+    render() {
+      if (this.state.error === null) {
+        return this.props.children;
+      }
+
+      var fallback = this.props.fallback;
+      if (typeof fallback === "function") {
+        return fallback({
+          error: this.state.error,
+          componentStack: this.state.componentStack,
+          resetError: this.resetError,
+        });
+      }
+      return fallback === undefined ? null : fallback;
+    }
+  }
+
+  /**
+   * コンポーネントからエラーを送信するためのフック
+   * showBoundaryはイベントハンドラや非同期処理のエラーを最も近いClientErrorCaptureBoundaryに渡す（送信はバウンダリで行う）
+   * @param {Object} client 送信に使用するクライアント（省略時はClientErrorCapture）
+   * @return {Object} captureError, addBreadcrumb, showBoundaryを含むオブジェクト
+   */
+  function useErrorCapture(client) {
+    var target = client || ClientErrorCapture;
+    var boundaryState = React.useState(null);
+    var boundaryError = boundaryState[0];
+    var setBoundaryError = boundaryState[1];
+
+    // レンダリング中に投げることでエラーバウンダリに捕捉させる
+    if (boundaryError !== null) {
+      throw boundaryError.error;
+    }
+
+    var captureError = React.useCallback(
+      function (error, additionalInfo, options) {
+        target.captureError(error, additionalInfo, options);
+      },
+      [target]
+    );
+    var addBreadcrumb = React.useCallback(
+      function (breadcrumb) {
+        target.addBreadcrumb(breadcrumb);
+      },
+      [target]
+    );
+    var showBoundary = React.useCallback(function (error) {
+      setBoundaryError({ error: error });
+    }, []);
+
+    return React.useMemo(
+      function () {
+        return { captureError: captureError, addBreadcrumb: addBreadcrumb, showBoundary: showBoundary };
+      },
+      [captureError, addBreadcrumb, showBoundary]
+    );
+  }
+
+  /**
+   * createRoot/hydrateRootのオプションにエラーを送信するonUncaughtError/onRecoverableErrorを追加する
+   * Reactが回復したエラー（onRecoverableError）はlevel: "warn"で送信し、指定済みのハンドラは送信後に呼び出す
+   * ハンドラが指定されていない場合は、Reactの既定の動作と同様にコンソールへ出力する
+   * onUncaughtErrorはReact 19以降、onRecoverableErrorはReact 18以降で呼ばれる
+   * @param {Object} rootOptions createRoot/hydrateRootのオプション（省略可）
+   * @param {Object} client 送信に使用するクライアント（省略時はClientErrorCapture）
+   * @return {Object} ハンドラを追加したオプション
+   */
+  function withErrorCapture(rootOptions, client) {
+    var options = rootOptions || {};
+    var target = client || ClientErrorCapture;
+
+    var createHandler = function (mechanism) {
+      var original = options[mechanism];
+      return function (error, errorInfo) {
+        target.captureError(
+          error,
+          {
+            componentStack: (errorInfo && errorInfo.componentStack) || "",
+            mechanism: mechanism,
+          },
+          { level: mechanism === "onRecoverableError" ? "warn" : "error" }
+        );
+        if (typeof original === "function") {
+          return original.apply(this, arguments);
+        }
+        // ハンドラを指定するとReactはエラーを出力しないため、既定の動作と同様に出力する
+        target._callConsole("error", [error]);
+      };
+    };
+
+    return {
+      ...options,
+      onUncaughtError: createHandler("onUncaughtError"),
+      onRecoverableError: createHandler("onRecoverableError"),
+    };
+  }
+
+  return {
+    ClientErrorCaptureBoundary: ClientErrorCaptureBoundary,
+    useErrorCapture: useErrorCapture,
+    withErrorCapture: withErrorCapture,
+  };
+});
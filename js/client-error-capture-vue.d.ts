@@ -0,0 +1,18 @@
+import type { App } from 'vue';
+import type { ClientErrorCaptureVueOptions } from './client-error-capture';
+
+/**
+ * Vue 3プラグイン
+ * app.use(ClientErrorCapturePlugin, config)でapp.config.errorHandler（captureWarnings: trueの場合はwarnHandlerも）を設定します
+ */
+declare const ClientErrorCapturePlugin: {
+  install(app: App, options?: ClientErrorCaptureVueOptions): void;
+};
+
+export default ClientErrorCapturePlugin;
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $clientErrorCapture: import('./client-error-capture').ClientErrorCaptureInterface;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * @file client-error-capture-vue.js
+ * @description ClientErrorCaptureのVue 3プラグイン（app.config.errorHandler/warnHandlerでの捕捉）
+ * @version 1.4.0
+ * @license MIT
+ */
+
+(function (global, factory) {
+  // UMD (Universal Module Definition)パターンでの実装
+  // ClientErrorCaptureはCommonJS/AMDでは依存モジュール、グローバル変数の場合はwindow.ClientErrorCaptureを使用
+  if (typeof define === "function" && define.amd) {
+    define(["./client-error-capture"], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./client-error-capture.js"));
+  } else {
+    global.ClientErrorCapturePlugin = factory(global.ClientErrorCapture);
+  }
+})(typeof self !== "undefined" ? self : this, function (ClientErrorCapture) {
+  "use strict";
+
+  /**
+   * プラグイン専用のオプション（ライブラリの設定からは除外する）
+   */
+  var pluginOptionKeys = ["client", "captureWarnings", "attachProps"];
+
+  /**
+   * meta.vue.propsに含める1つのpropの最大文字数（JSON文字列）
+   */
+  var MAX_PROP_LENGTH = 1000;
+
+  /**
+   * コンポーネント名を取得する（Vueの警告と同じく、name、__name、ファイル名の順）
+   * @param {Object} instance コンポーネントインスタンス
+   * @return {String} コンポーネント名
+   */
+  function getComponentName(instance) {
+    var options = (instance && instance.$options) || {};
+    if (options.name || options.__name) {
+      return options.name || options.__name;
+    }
+    var match = options.__file && String(options.__file).match(/([^/\\]+)\.vue$/);
+    if (match) {
+      return match[1];
+    }
+    return instance && !instance.$parent ? "Root" : "Anonymous";
+  }
+
+  /**
+   * propsを送信できる形式に変換し、マスキングする
+   * 循環参照などで文字列化できない値は"[Unserializable]"、長すぎる値は切り詰めた文字列にする
+   * @param {Object} client クライアント
+   * @param {Object} props コンポーネントのprops
+   * @return {Object|undefined} 変換後のprops
+   */
+  function serializeProps(client, props) {
+    if (!props || typeof props !== "object") {
+      return undefined;
+    }
+
+    var serialized = {};
+    Object.keys(props).forEach(function (key) {
+      var value = props[key];
+      if (typeof value === "function") {
+        serialized[key] = "[Function]";
+        return;
+      }
+      try {
+        var json = JSON.stringify(value);
+        if (json === undefined) {
+          serialized[key] = undefined;
+        } else if (json.length > MAX_PROP_LENGTH) {
+          serialized[key] = json.substring(0, MAX_PROP_LENGTH) + "...";
+        } else {
+          serialized[key] = JSON.parse(json);
+        }
+      } catch (_) {
+        serialized[key] = "[Unserializable]";
+      }
+    });
+
+    return client._redactValue(serialized, client._getRedactionRules(true), 0);
+  }
+
+  /**
+   * meta.vueに付与するコンポーネント情報を作成する
+   * @param {Object} client クライアント
+   * @param {Object} instance コンポーネントインスタンス
+   * @param {Object} options プラグインのオプション
+   * @return {Object} コンポーネント情報
+   */
+  function getComponentInfo(client, instance, options) {
+    if (!instance) {
+      return {};
+    }
+    var info = { componentName: getComponentName(instance) };
+    if (options.attachProps !== false) {
+      info.props = serializeProps(client, instance.$props);
+    }
+    return info;
+  }
+
+  /**
+   * クライアントが有効な場合にエラーを処理する
+   * @param {Object} client クライアント
+   * @param {Object} errorData エラーデータ
+   */
+  function handleError(client, errorData) {
+    if (client.initialized && client.config.enabled) {
+      client._handleError(errorData);
+    }
+  }
+
+  /**
+   * Vue 3プラグイン
+   * app.use(ClientErrorCapturePlugin, config)でapp.config.errorHandler（captureWarnings: trueの場合はwarnHandlerも）を設定する
+   * 設定済みのハンドラは置き換えずに、捕捉後に呼び出す
+   */
+  var ClientErrorCapturePlugin = {
+    /**
+     * @param {Object} app Vueアプリケーション
+     * @param {Object} options ライブラリの設定と、プラグインのオプション（client, captureWarnings, attachProps）
+     */
+    install: function (app, options) {
+      options = options || {};
+      var client = options.client || ClientErrorCapture;
+
+      // clientを指定しない場合、未初期化であればプラグインのオプションを除いた設定で初期化する
+      if (!options.client && !client.initialized) {
+        var config = {};
+        Object.keys(options).forEach(function (key) {
+          if (pluginOptionKeys.indexOf(key) === -1) {
+            config[key] = options[key];
+          }
+        });
+        client.init(config);
+      }
+
+      var originalErrorHandler = app.config.errorHandler;
+      app.config.errorHandler = function (error, instance, info) {
+        handleError(client, {
+          type: "vue",
+          message: error instanceof Error ? error.message : String(error),
+          error: error instanceof Error ? error : new Error(String(error)),
+          additionalInfo: {
+            vue: Object.assign(getComponentInfo(client, instance, options), { lifecycleHook: info }),
+          },
+        });
+
+        if (typeof originalErrorHandler === "function") {
+          return originalErrorHandler.apply(this, arguments);
+        }
+        // errorHandlerを設定するとVueはエラーを出力しないため、既定の動作と同様に出力する
+        client._callConsole("error", [error]);
+      };
+
+      if (options.captureWarnings) {
+        var originalWarnHandler = app.config.warnHandler;
+        app.config.warnHandler = function (message, instance, trace) {
+          handleError(client, {
+            type: "vue",
+            level: "warn",
+            message: String(message),
+            additionalInfo: {
+              vue: Object.assign(getComponentInfo(client, instance, options), { componentTrace: trace }),
+            },
+          });
+
+          if (typeof originalWarnHandler === "function") {
+            return originalWarnHandler.apply(this, arguments);
+          }
+          client._callConsole("warn", ["[Vue warn]: " + message + (trace || "")]);
+        };
+      }
+
+      // コンポーネントからthis.$clientErrorCaptureで参照できるようにする
+      app.config.globalProperties.$clientErrorCapture = client;
+    },
+  };
+
+  return ClientErrorCapturePlugin;
+});
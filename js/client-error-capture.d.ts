@@ -39,11 +39,23 @@ export interface ClientErrorCaptureConfig {
   environment?: 'production' | 'staging' | 'develop' | 'local' | 'preview' | string | unknown;
 
   /**
-   * アプリケーションバージョン
+   * アプリケーションバージョン（リリース）
+   * 指定しない場合は<meta name="release">、window.CLIENT_ERROR_CAPTURE_RELEASE、スクリプトURLの?release=の順に検出します
    * @default '1.0.0'
    */
   version?: string;
 
+  /**
+   * 同じリリース内のビルドの区別（指定しない場合は<meta name="dist">等から検出します）
+   */
+  dist?: string;
+
+  /**
+   * フィンガープリントを初めて検出したリリースを保存するlocalStorageのキー
+   * @default 'cec_first_seen'
+   */
+  firstSeenStorageKey?: string;
+
   /**
    * スタックトレースの最大長
    * @default 50
@@ -51,29 +63,98 @@ export interface ClientErrorCaptureConfig {
   maxStackLength?: number;
 
   /**
-   * エラー送信の制限時間(ms)
+   * meta.framesに含めるスタックフレームの最大数
+   * @default 50
+   */
+  maxStackFrames?: number;
+
+  /**
+   * アプリ自身のコードとみなすURLパターン（フレームのinApp判定に使用）
+   * 空の場合は拡張機能・ネイティブコード・node_modules以外のすべてのURLをアプリのコードとみなします
+   * @default []
+   */
+  inAppUrls?: (string | RegExp)[];
+
+  /**
+   * 同じフィンガープリントのエラーを受け付ける間隔(ms)。0で無効
+   * フィンガープリントごとのトークンバケットにこの間隔で1トークンずつ補充されます
    * @default 1000
    */
   throttleTime?: number;
 
+  /**
+   * 同じフィンガープリントのエラーを連続で受け付ける最大件数（トークンバケットの容量）
+   * @default 10
+   */
+  rateLimitBurst?: number;
+
+  /**
+   * ページセッション中に受け付けるエラーの上限。0で無制限
+   * 上限に達すると以降のエラーは破棄され、破棄件数をまとめた"budget_exceeded"イベントが1回だけ送信されます
+   * @default 100
+   */
+  maxErrorsPerSession?: number;
+
+  /**
+   * 上限到達後、"budget_exceeded"イベントを送信するまでの待機時間(ms)
+   * @default 10000
+   */
+  budgetReportDelayMs?: number;
+
+  /**
+   * 同じフィンガープリントのエラーを集約する時間(ms)。0で無効
+   * 最初の1件は即時に送信し、時間内の重複はウィンドウ終了時にcount付きの1件として送信します
+   * @default 5000
+   */
+  dedupeWindowMs?: number;
+
   /**
    * ソースマップ警告を無効にするかどうか
    * @default false
    */
   disableSourceMapWarning?: boolean;
 
+  /**
+   * 送信前にソースマップでスタックフレーム（meta.frames）を元のファイル・行・列・関数名に解決するかどうか
+   * アプリのフレームのスクリプトから`//# sourceMappingURL`を取得します（スクリプトごとにキャッシュ）
+   * @default false
+   */
+  resolveSourceMaps?: boolean;
+
+  /**
+   * ソースマップ解決の待機時間(ms)。超過した場合は解決せずに送信します
+   * @default 3000
+   */
+  sourceMapTimeout?: number;
+
   /**
    * カスタムHTTPヘッダー
    * @default {}
    */
   customHeaders?: Record<string, string>;
 
+  /**
+   * 送信方法。組み込みの"xhr"/"fetch"/"beacon"、またはsend(payload, meta)を持つ独自トランスポート
+   * 独自トランスポートの場合、logServerUrlは省略できます
+   * @default 'xhr'
+   */
+  transport?: 'xhr' | 'fetch' | 'beacon' | Transport;
+
   /**
    * Promise拒否エラーをハンドルするかどうか
    * @default true
    */
   handlePromiseRejections?: boolean;
 
+  /**
+   * グローバルエラーハンドラの登録方法
+   * - "listener": addEventListener('error'/'unhandledrejection')で登録（後からwindow.onerrorを上書きされても捕捉が止まらない）
+   * - "property": window.onerror/window.onunhandledrejectionを既存のハンドラとチェーンして上書き（互換モード）
+   * addEventListenerが使えない環境では"property"として動作します
+   * @default "listener"
+   */
+  handlerMode?: 'listener' | 'property';
+
   /**
    * エラー捕捉時に実行するコールバック
    * @default null
@@ -86,6 +167,37 @@ export interface ClientErrorCaptureConfig {
    */
   transformRequest?: (errorData: ErrorInfo) => ErrorInfo | null;
 
+  /**
+   * 送信前の処理（配列の場合は順に実行）。Promiseを返して非同期に情報を追加できます
+   * nullまたはfalseを返すと破棄、undefinedを返すと受け取ったイベントのまま続行します
+   * @default null
+   */
+  beforeSend?: BeforeSendProcessor | BeforeSendProcessor[] | null;
+
+  /**
+   * init時に登録するプラグイン（use()と同じ。同名のデフォルトプラグインは置き換えます）
+   * @default []
+   */
+  plugins?: Plugin[];
+
+  /**
+   * 操作がない状態がこの時間(ms)続くと新しいセッションIDを生成します
+   * @default 1800000
+   */
+  sessionTimeoutMs?: number;
+
+  /**
+   * セッションを保存するsessionStorageのキー
+   * @default 'cec_session'
+   */
+  sessionStorageKey?: string;
+
+  /**
+   * セッションの開始・終了時にエラー件数を含むping（type: "session"）を送信するか
+   * @default false
+   */
+  sessionPings?: boolean;
+
   /**
    * サンプリング率（0.0-1.0）
    * @default 1.0
@@ -104,6 +216,63 @@ export interface ClientErrorCaptureConfig {
    */
   backoffFactor?: number;
 
+  /**
+   * 1リクエストで送信するエラーの最大件数（2以上でバッチ送信）
+   * @default 1
+   */
+  batchSize?: number;
+
+  /**
+   * バッチが埋まらない場合に送信するまでの待機時間(ms)
+   * @default 2000
+   */
+  batchIntervalMs?: number;
+
+  /**
+   * バッチの送信形式（"json": JSON配列, "ndjson": 改行区切りJSON）
+   * @default 'json'
+   */
+  batchFormat?: 'json' | 'ndjson';
+
+  /**
+   * ページ離脱時（pagehide / visibilitychange=hidden）に未送信のエラーを
+   * navigator.sendBeacon または fetch(keepalive: true) で送信するかどうか
+   * @default true
+   */
+  flushOnUnload?: boolean;
+
+  /**
+   * ページ離脱時に1リクエストで送信する最大バイト数（sendBeacon/keepaliveの上限は64KB）
+   * @default 65536
+   */
+  beaconMaxBytes?: number;
+
+  /**
+   * 未送信のエラーをIndexedDB（使えない場合はlocalStorage）に永続化し、
+   * 次回init時・オンライン復帰時に再送するかどうか。オフライン中は送信を保留します
+   * @default false
+   */
+  persistQueue?: boolean;
+
+  /**
+   * 永続化に使用するIndexedDBのデータベース名/localStorageのキー
+   * createClientで作成したクライアントで未指定の場合は、appNameとlogServerUrlから生成したキーを使用する
+   * @default 'cec_error_queue'
+   */
+  persistStorageKey?: string;
+
+  /**
+   * 永続化するエラーの最大件数（超過分は古いものから削除）
+   * @default 100
+   */
+  persistMaxItems?: number;
+
+  /**
+   * 永続化したエラーの保持期間(ms)
+   * @default 604800000
+   */
+  persistMaxAgeMs?: number;
+
   /**
    * 無視するエラーメッセージパターン（文字列または正規表現の配列）
    * パターンにマッチするエラーは捕捉されません
@@ -162,6 +331,387 @@ export interface ClientErrorCaptureConfig {
    * @default true
    */
   protectReservedFields?: boolean;
+
+  /**
+   * 組み込みのルール（メールアドレス・カード番号・JWT・Bearerトークン・秘密のクエリパラメータ・キー）で送信前にマスキングするか（setUserのmeta.userには適用しない）
+   * @default true
+   */
+  redactPii?: boolean;
+
+  /**
+   * 値を"[Filtered]"に置き換えるオブジェクトのキー（文字列は大文字小文字を区別せず完全一致）。組み込みのルールに追加されます
+   * @default []
+   */
+  redactKeys?: (string | RegExp)[];
+
+  /**
+   * 文字列中のマスキング対象の正規表現。組み込みのルールに追加されます
+   * @default []
+   */
+  redactPatterns?: (RegExp | { pattern: RegExp; replacement?: string })[];
+
+  /**
+   * URL中で値を"[Filtered]"に置き換えるクエリパラメータ名。組み込みのルールに追加されます
+   * @default []
+   */
+  redactQueryParams?: string[];
+
+  /**
+   * ブレッドクラム（エラー発生までの操作履歴）を記録してエラーに添付するかどうか
+   * console・fetch・XMLHttpRequest・historyを計装するため、デフォルトでは無効
+   * @default false
+   */
+  breadcrumbs?: boolean;
+
+  /**
+   * 保持するブレッドクラムの最大件数
+   * @default 30
+   */
+  maxBreadcrumbs?: number;
+
+  /**
+   * 自動記録するブレッドクラムの種類
+   * @default ["click", "navigation", "http", "console"]
+   */
+  breadcrumbTypes?: ('click' | 'navigation' | 'http' | 'console')[];
+
+  /**
+   * console.error/warnの呼び出しをエラー（type: "console"）として捕捉するかどうか
+   * @default false
+   */
+  captureConsole?: boolean;
+
+  /**
+   * 捕捉するconsoleメソッド
+   * @default ["error", "warn"]
+   */
+  captureConsoleLevels?: ('error' | 'warn' | 'info' | 'log' | 'debug')[];
+
+  /**
+   * fetch/XHRの失敗（エラーステータス・ネットワークエラー・タイムアウト）をエラー（type: "http"）として捕捉するかどうか
+   * logServerUrl宛てのライブラリ自身の送信は対象外です
+   * @default false
+   */
+  captureHttpErrors?: boolean;
+
+  /**
+   * エラーとして捕捉するHTTPステータスの下限
+   * @default 500
+   */
+  httpErrorStatusMin?: number;
+
+  /**
+   * img/script/link/video等のリソース読み込みエラーをエラー（type: "resource"）として捕捉するかどうか
+   * @default false
+   */
+  captureResourceErrors?: boolean;
+
+  /**
+   * リソース読み込みエラーのサンプリング率（0.0-1.0）。samplingSettingの代わりに適用されます
+   * @default 1.0
+   */
+  resourceSamplingRate?: number;
+
+  /**
+   * このクライアントが担当するスクリプトURLのパターン（createClientで複数クライアントを使う場合）
+   * グローバルエラーは発生元URL・スタックフレームのファイルがマッチしたクライアントに振り分けられます
+   * @default []
+   */
+  scriptUrls?: (string | RegExp)[];
+
+  /**
+   * Worker内で捕捉したエラーの送信方法
+   * "postMessage"の場合はページ側のattachWorkerで受信して送信します（SharedWorkerでは"direct"として動作）
+   * @default "direct"
+   */
+  workerDelivery?: 'direct' | 'postMessage';
+
+  /**
+   * サーバーに送信する最低レベル（コンソール出力・onErrorCallbackには影響しません）
+   * @default 'debug'
+   */
+  minLevel?: Level;
+}
+
+/**
+ * beforeSendの処理に渡される情報
+ */
+export interface BeforeSendHint {
+  /**
+   * 元のErrorオブジェクト（captureMessageやWorkerから転送されたイベントではundefined）
+   */
+  originalException?: unknown;
+
+  /**
+   * 破棄理由を指定して破棄する（return hint.drop("reason")）
+   * @param reason 破棄理由（getStats().droppedに"beforeSend:<reason>"として記録されます）
+   */
+  drop(reason?: string): null;
+}
+
+/**
+ * beforeSendの処理
+ */
+export type BeforeSendProcessor = (
+  event: ErrorInfo,
+  hint: BeforeSendHint
+) => ErrorInfo | null | false | undefined | void | Promise<ErrorInfo | null | false | undefined | void>;
+
+/**
+ * getStatsで取得する統計
+ */
+export interface ClientErrorCaptureStats {
+  /**
+   * 破棄したイベントの理由別件数
+   * ("ignored" | "sampled" | "rateLimit" | "sessionCap" | "transformRequest" | "minLevel" | "beforeSend:<理由>")
+   */
+  dropped: Record<string, number>;
+
+  /**
+   * beforeSendの処理（関数名、無名の場合は"#<インデックス>"）ごと、プラグイン（"plugin:<name>"）ごとの例外件数
+   */
+  processorErrors: Record<string, number>;
+}
+
+/**
+ * プラグインのonEventに渡される情報
+ */
+export interface PluginEventHint {
+  /**
+   * プラグインを登録したクライアント
+   */
+  client: ClientErrorCaptureInterface;
+
+  /**
+   * フォーマット前のエラーデータ（message, source, type等）
+   */
+  errorData: Record<string, unknown>;
+
+  /**
+   * 元のErrorオブジェクト（captureMessageではundefined）
+   */
+  originalException?: unknown;
+
+  /**
+   * 破棄理由を指定して破棄する（return hint.drop("reason")）
+   * @param reason 破棄理由（getStats().droppedにそのまま記録されます。省略時は"plugin:<name>"）
+   */
+  drop(reason?: string): null;
+}
+
+/**
+ * afterSendに渡される送信結果
+ */
+export interface PluginSendResult {
+  /**
+   * 送信に成功したかどうか
+   */
+  success: boolean;
+
+  /**
+   * 送信したペイロード（バッチ送信の場合は配列）
+   */
+  payload: Record<string, unknown> | Record<string, unknown>[] | null;
+
+  /**
+   * トランスポートの戻り値（成功時）
+   */
+  response?: unknown;
+
+  /**
+   * 送信エラー（失敗時）
+   */
+  error?: unknown;
+
+  /**
+   * バッチ送信かどうか
+   */
+  batch?: boolean;
+}
+
+/**
+ * プラグイン（必要なフックだけを実装します。フックの例外はログに出力して処理を続行します）
+ */
+export interface Plugin {
+  /**
+   * プラグイン名（同名のプラグインは置き換えられます）
+   */
+  name: string;
+
+  /**
+   * init時（init後にuse()した場合はすぐに）とdisable後のenable時に呼ばれる（有効なままenableを呼んでも再実行しない）
+   */
+  setup?(client: ClientErrorCaptureInterface): void;
+
+  /**
+   * フォーマット済みのイベントごとに呼ばれる。イベントを直接変更するか、置き換えるイベントを返す
+   * nullまたはfalseを返すと破棄します
+   */
+  onEvent?(event: ErrorInfo, hint: PluginEventHint): ErrorInfo | null | false | undefined | void;
+
+  /**
+   * イベントごとに1回、設定のbeforeSendの直前（マスキング・snake_case変換前）に呼ばれる
+   * イベントを直接変更するか、置き換えるイベントを返す
+   */
+  beforeSend?(event: ErrorInfo, client: ClientErrorCaptureInterface): ErrorInfo | undefined | void;
+
+  /**
+   * トランスポートでの送信完了・失敗後に呼ばれる
+   */
+  afterSend?(result: PluginSendResult, client: ClientErrorCaptureInterface): void;
+
+  /**
+   * disable時、removePlugin()や同名のプラグインで置き換えられた時に呼ばれる
+   */
+  teardown?(client: ClientErrorCaptureInterface): void;
+}
+
+/**
+ * セッションのping（type: "session"）に付与されるセッション情報
+ */
+export interface SessionInfo {
+  /**
+   * "start": セッション開始、"end": セッション終了（ページ離脱時・無操作による期限切れ時）
+   */
+  status: 'start' | 'end';
+
+  /**
+   * セッションの開始時刻（ISO形式）
+   */
+  startedAt: string;
+
+  /**
+   * セッション中に発生したエラー（level: "error"）の件数
+   */
+  errorCount: number;
+
+  /**
+   * セッションの長さ(ms)（終了時のみ）
+   */
+  duration?: number;
+}
+
+/**
+ * ログレベル（"debug" < "info" < "warn" < "error"）
+ */
+export type Level = 'error' | 'warn' | 'info' | 'debug';
+
+/**
+ * captureErrorのオプション
+ */
+export interface CaptureOptions {
+  /**
+   * ログレベル
+   * @default 'error'
+   */
+  level?: Level;
+}
+
+/**
+ * トランスポートに渡される送信情報
+ */
+export interface TransportMeta {
+  /**
+   * 送信先URL（logServerUrl）
+   */
+  url: string;
+
+  /**
+   * リクエストヘッダー（Content-TypeとcustomHeaders）
+   */
+  headers: Record<string, string>;
+
+  /**
+   * シリアライズ済みのリクエスト本文
+   */
+  body: string;
+
+  /**
+   * Content-Type（application/json または application/x-ndjson）
+   */
+  contentType: string;
+
+  /**
+   * バッチ送信かどうか
+   */
+  batch?: boolean;
+
+  /**
+   * ページ離脱時の送信（flushOnUnload）の場合true。離脱後も送信が継続される方法（sendBeacon、fetchのkeepalive等）で送信する
+   */
+  keepalive?: boolean;
+}
+
+/**
+ * 送信方法（トランスポート）
+ */
+export interface Transport {
+  /**
+   * ペイロードを送信する。送信完了で解決し、失敗時は拒否されるPromiseを返す（拒否時は再試行されます）
+   * @param payload 送信ペイロード（バッチ送信の場合は配列）
+   * @param meta 送信情報
+   */
+  send(payload: Record<string, unknown> | Record<string, unknown>[] | null, meta: TransportMeta): Promise<unknown>;
+}
+
+/**
+ * 解析済みのスタックフレーム
+ */
+export interface StackFrame {
+  /**
+   * 関数名（不明な場合は"<anonymous>"）
+   */
+  function: string;
+
+  /**
+   * ファイルURL
+   */
+  file: string;
+
+  /**
+   * 行番号
+   */
+  line: number | null;
+
+  /**
+   * 列番号
+   */
+  column: number | null;
+
+  /**
+   * アプリ自身のコードかどうか
+   */
+  inApp: boolean;
+}
+
+/**
+ * ブレッドクラム（エラー発生までの操作履歴の1件）
+ */
+export interface Breadcrumb {
+  /**
+   * 記録時刻（ISO形式）
+   */
+  timestamp?: string;
+
+  /**
+   * 種類（ui.click, navigation, fetch, xhr, console, error, manual など）
+   */
+  category?: string;
+
+  /**
+   * レベル
+   */
+  level?: Level;
+
+  /**
+   * 内容
+   */
+  message?: string;
+
+  /**
+   * 付随データ
+   */
+  data?: Record<string, unknown>;
 }
 
 /**
@@ -173,6 +723,21 @@ export interface ErrorInfo {
    */
   id: string;
 
+  /**
+   * セッションID（sessionプラグインが付与）
+   */
+  sessionId?: string;
+
+  /**
+   * フィンガープリント（正規化したメッセージ・タイプ・上位のアプリのフレームから算出、グルーピング用）
+   */
+  fingerprint?: string;
+
+  /**
+   * 発生回数（重複集約された場合は集約した件数）
+   */
+  count?: number;
+
   /**
    * エラーメッセージ
    */
@@ -181,7 +746,7 @@ export interface ErrorInfo {
   /**
    * エラーレベル
    */
-  level: 'error' | 'warn' | 'info' | 'debug';
+  level: Level;
 
   /**
    * タイムスタンプ（ISO形式）
@@ -191,7 +756,7 @@ export interface ErrorInfo {
   /**
    * エラータイプ
    */
-  type: 'uncaught' | 'unhandledrejection' | 'manual' | string;
+  type: 'uncaught' | 'unhandledrejection' | 'manual' | 'message' | 'console' | 'http' | 'resource' | 'vue' | 'budget_exceeded' | 'session' | string;
 
   /**
    * アプリケーション名
@@ -203,11 +768,26 @@ export interface ErrorInfo {
    */
   appVersion: string;
 
+  /**
+   * 同じリリース内のビルドの区別
+   */
+  dist?: string;
+
+  /**
+   * このフィンガープリントをこのリリースで初めて検出したか（端末ごとに判定、releaseプラグインが付与）
+   */
+  firstSeenInRelease?: boolean;
+
   /**
    * 環境（production, development, etc）
    */
   environment: 'production' | 'staging' | 'develop' | 'local' | 'preview' | string;
 
+  /**
+   * セッション情報（セッションのpingのみ）
+   */
+  session?: SessionInfo;
+
   /**
    * 追加のメタデータ
    */
@@ -232,6 +812,11 @@ export interface ErrorInfo {
      */
     stack?: string;
 
+    /**
+     * 解析済みのスタックフレーム（先頭がエラー発生箇所）
+     */
+    frames?: StackFrame[];
+
     /**
      * ユーザーエージェント
      */
@@ -258,6 +843,100 @@ export interface ErrorInfo {
       cookiesEnabled?: boolean;
     };
 
+    /**
+     * エラー発生までのブレッドクラム（送信時に付与）
+     */
+    breadcrumbs?: Breadcrumb[];
+
+    /**
+     * 失敗した通信の情報（type: "http"の場合）
+     */
+    http?: {
+      method: string;
+      url: string;
+      status: number;
+      duration: number;
+      failure?: 'network_error' | 'timeout';
+    };
+
+    /**
+     * 読み込みに失敗したリソースの情報（type: "resource"の場合）
+     */
+    resource?: {
+      tagName: string;
+      url: string;
+      outerHTML: string;
+    };
+
+    /**
+     * setUserで設定したユーザー情報
+     */
+    user?: User;
+
+    /**
+     * setTagで設定したタグ
+     */
+    tags?: Record<string, string>;
+
+    /**
+     * setContextで設定したコンテキスト
+     */
+    contexts?: Record<string, Record<string, unknown>>;
+
+    /**
+     * Worker内で発生したエラーの場合のWorker情報
+     */
+    worker?: {
+      type: 'dedicated' | 'shared' | 'service';
+      name?: string;
+      scope?: string;
+    };
+
+    /**
+     * Workerから転送されたエラーを受信したページのURL
+     */
+    pageUrl?: string;
+
+    /**
+     * サーバー（Node.js）で捕捉した場合のランタイム情報
+     */
+    runtime?: {
+      name: 'node';
+      version: string;
+      platform: string;
+      arch: string;
+      hostname?: string;
+      pid: number;
+    };
+
+    /**
+     * サーバー（Node.js）でrunWithRequest内に発生した場合のリクエスト情報
+     */
+    request?: {
+      method?: string;
+      url: string;
+    };
+
+    /**
+     * ReactのcomponentStack（ClientErrorCaptureBoundary・withErrorCaptureで捕捉した場合）
+     */
+    componentStack?: string;
+
+    /**
+     * Vueのコンポーネント情報（type: "vue"の場合）
+     */
+    vue?: {
+      componentName?: string;
+      props?: Record<string, unknown>;
+      lifecycleHook?: string;
+      componentTrace?: string;
+    };
+
+    /**
+     * Reactで捕捉した経路（"errorBoundary" | "onUncaughtError" | "onRecoverableError"）
+     */
+    mechanism?: string;
+
     /**
      * その他の追加情報
      */
@@ -265,6 +944,135 @@ export interface ErrorInfo {
   };
 }
 
+/**
+ * setUserで設定するユーザー情報
+ */
+export interface User {
+  id?: string | number;
+  email?: string;
+  username?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * ClientErrorCaptureBoundaryのfallback関数に渡される値
+ */
+export interface ErrorBoundaryFallbackProps {
+  /**
+   * 捕捉したエラー
+   */
+  error: unknown;
+
+  /**
+   * ReactのcomponentStack（componentDidCatchの前はnull）
+   */
+  componentStack: string | null;
+
+  /**
+   * エラー状態を解除して子コンポーネントを再レンダリングする
+   */
+  resetError(): void;
+}
+
+/**
+ * ClientErrorCaptureBoundary（client-error-capture-react.js）のprops
+ * TNodeはReactNode（client-error-capture-react.d.tsで指定）
+ */
+export interface ClientErrorCaptureBoundaryProps<TNode = unknown> {
+  children?: TNode;
+
+  /**
+   * エラー時に表示する要素、または要素を返す関数
+   */
+  fallback?: TNode | ((props: ErrorBoundaryFallbackProps) => TNode);
+
+  /**
+   * resetErrorでエラー状態を解除したときに呼ばれる
+   */
+  onReset?(): void;
+
+  /**
+   * エラーを捕捉したときに呼ばれる（送信後）
+   */
+  onError?(error: unknown, componentStack: string): void;
+
+  /**
+   * エラーに付与する追加情報（metaにマージされます）
+   */
+  additionalInfo?: Record<string, unknown>;
+
+  /**
+   * 送信に使用するクライアント
+   * @default ClientErrorCapture
+   */
+  client?: ClientErrorCaptureInterface;
+}
+
+/**
+ * useErrorCapture（client-error-capture-react.js）の戻り値
+ */
+export interface UseErrorCaptureResult {
+  /**
+   * エラーを送信する
+   */
+  captureError(error: Error | string | unknown, additionalInfo?: Record<string, unknown>, options?: CaptureOptions): void;
+
+  /**
+   * ブレッドクラムを記録する
+   */
+  addBreadcrumb(breadcrumb: Breadcrumb | string): void;
+
+  /**
+   * イベントハンドラや非同期処理のエラーを最も近いClientErrorCaptureBoundaryに渡す
+   */
+  showBoundary(error: unknown): void;
+}
+
+/**
+ * createRoot/hydrateRootのエラーハンドラに渡されるエラー情報
+ */
+export interface ReactRootErrorInfo {
+  componentStack?: string;
+}
+
+/**
+ * withErrorCapture（client-error-capture-react.js）が追加するcreateRoot/hydrateRootのオプション
+ */
+export interface ReactRootErrorHandlers {
+  /**
+   * 未捕捉のレンダリングエラー（React 19以降）
+   */
+  onUncaughtError?(error: unknown, errorInfo: ReactRootErrorInfo): void;
+
+  /**
+   * Reactが自動的に回復したエラー（React 18以降）
+   */
+  onRecoverableError?(error: unknown, errorInfo: ReactRootErrorInfo): void;
+}
+
+/**
+ * Vueプラグイン（client-error-capture-vue.js）のオプション（ライブラリの設定に加えて指定）
+ */
+export interface ClientErrorCaptureVueOptions extends ClientErrorCaptureConfig {
+  /**
+   * 送信に使用するクライアント（指定した場合は初期化しません）
+   * @default ClientErrorCapture
+   */
+  client?: ClientErrorCaptureInterface;
+
+  /**
+   * app.config.warnHandlerでVueの警告をlevel: "warn"として捕捉するかどうか
+   * @default false
+   */
+  captureWarnings?: boolean;
+
+  /**
+   * コンポーネントのprops（マスキング後）をmeta.vue.propsに付与するかどうか
+   * @default true
+   */
+  attachProps?: boolean;
+}
+
 /**
  * ClientErrorCaptureライブラリのインターフェース
  */
@@ -279,8 +1087,60 @@ export interface ClientErrorCaptureInterface {
    * エラーを手動で記録
    * @param error エラーオブジェクトまたはメッセージ
    * @param additionalInfo 追加情報（オプション）
+   * @param options オプション（level）
    */
-  captureError(error: Error | string | unknown, additionalInfo?: Record<string, unknown>): ClientErrorCaptureInterface;
+  captureError(
+    error: Error | string | unknown,
+    additionalInfo?: Record<string, unknown>,
+    options?: CaptureOptions
+  ): ClientErrorCaptureInterface;
+
+  /**
+   * エラーをlevel: "warn"で記録する
+   * @param error エラーオブジェクトまたはメッセージ
+   * @param additionalInfo 追加情報（オプション）
+   */
+  captureWarning(error: Error | string | unknown, additionalInfo?: Record<string, unknown>): ClientErrorCaptureInterface;
+
+  /**
+   * メッセージを記録する（スタックトレースは付与しません）
+   * @param message メッセージ
+   * @param level ログレベル（デフォルト"info"）
+   * @param additionalInfo 追加情報（オプション）
+   */
+  captureMessage(message: string, level?: Level, additionalInfo?: Record<string, unknown>): ClientErrorCaptureInterface;
+
+  /**
+   * ブレッドクラムを手動で記録
+   * @param breadcrumb ブレッドクラムまたはメッセージ
+   */
+  addBreadcrumb(breadcrumb: Breadcrumb | string): ClientErrorCaptureInterface;
+
+  /**
+   * 以降のイベントに付与するユーザー情報を設定する（nullで解除）
+   * @param user ユーザー情報
+   */
+  setUser(user: User | null): ClientErrorCaptureInterface;
+
+  /**
+   * 以降のイベントに付与するタグを設定する（null/undefinedで削除）
+   * @param key タグ名
+   * @param value 値（文字列に変換されます）
+   */
+  setTag(key: string, value: string | number | boolean | null | undefined): ClientErrorCaptureInterface;
+
+  /**
+   * 以降のイベントに付与するコンテキストを設定する（nullで削除）
+   * @param name コンテキスト名
+   * @param context コンテキスト
+   */
+  setContext(name: string, context: Record<string, unknown> | null): ClientErrorCaptureInterface;
+
+  /**
+   * 一時的なスコープでコールバックを実行する。コールバック内で設定した内容は終了時に元に戻ります
+   * @param callback スコープ内で実行する関数
+   */
+  withScope<T>(callback: (client: ClientErrorCaptureInterface) => T): T;
 
   /**
    * 設定を更新する
@@ -297,6 +1157,49 @@ export interface ClientErrorCaptureInterface {
    * エラーキャプチャを有効にする
    */
   enable(): ClientErrorCaptureInterface;
+
+  /**
+   * 独立した状態を持つクライアントを作成する
+   * @param config ユーザー設定（指定した場合はinit済みのクライアントを返す）
+   */
+  createClient(config?: ClientErrorCaptureConfig): ClientErrorCaptureInterface;
+
+  /**
+   * 破棄したイベントの統計を取得する
+   */
+  getStats(): ClientErrorCaptureStats;
+
+  /**
+   * プラグインを登録する（同名のプラグインは置き換えます）
+   * @param plugin プラグイン
+   */
+  use(plugin: Plugin): ClientErrorCaptureInterface;
+
+  /**
+   * 登録済みのプラグインを削除する（デフォルトプラグインも削除できます）
+   * @param name プラグイン名
+   */
+  removePlugin(name: string): ClientErrorCaptureInterface;
+
+  /**
+   * Worker（workerDelivery: "postMessage"）から転送されるエラーを受信する
+   * @param target Workerオブジェクトまたはnavigator.serviceWorker
+   */
+  attachWorker(target: Worker | ServiceWorkerContainer): ClientErrorCaptureInterface;
+
+  /**
+   * 組み込みトランスポート
+   */
+  transports: {
+    xhr: Transport;
+    fetch: Transport;
+    beacon: Transport;
+  };
+
+  /**
+   * デフォルトプラグイン（"ignoreFilter", "deviceId", "session", "release", "browserInfo"の順に登録されます）
+   */
+  defaultPlugins: Plugin[];
 }
 
 /**
@@ -312,5 +1215,10 @@ export default ClientErrorCapture;
 declare global {
   interface Window {
     ClientErrorCapture: ClientErrorCaptureInterface;
+
+    /**
+     * ビルド時に埋め込むリリース（versionを指定しない場合に使用）
+     */
+    CLIENT_ERROR_CAPTURE_RELEASE?: string | { release?: string; dist?: string };
   }
 }
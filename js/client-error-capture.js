@@ -18,6 +18,17 @@
 })(typeof self !== "undefined" ? self : this, function () {
   "use strict";
 
+  /**
+   * init済みのクライアント一覧（グローバルエラーの振り分けに使用）
+   */
+  var clients = [];
+
+  /**
+   * グローバルオブジェクト（ブラウザではwindow、Web Worker/Service Worker内ではself）
+   */
+  var globalScope =
+    typeof window !== "undefined" ? window : typeof self !== "undefined" ? self : {};
+
   /**
    * ClientErrorCaptureライブラリのメインクラス
    */
@@ -32,17 +43,43 @@
       logServerUrl: "", // ログサーバーのURL
       appName: "application", // アプリケーション名
       environment: "production", // 環境（production, development, staging, etc）
-      version: "1.0.0", // アプリケーションバージョン
+      version: "1.0.0", // アプリケーションバージョン（リリース。指定しない場合は<meta name="release">等から自動検出）
+      dist: undefined, // 同じリリース内のビルドの区別（任意）
+      firstSeenStorageKey: "cec_first_seen", // フィンガープリントを初めて検出したリリースを保存するlocalStorageのキー
       maxStackLength: 1000, // スタックトレースの最大長（増やすと省略を防げます）
-      throttleTime: 1000, // エラー送信の制限時間(ms)
+      maxStackFrames: 50, // meta.framesに含めるスタックフレームの最大数
+      inAppUrls: [], // アプリ自身のコードとみなすURLパターン（空の場合は拡張機能・ネイティブ以外すべて）
+      throttleTime: 1000, // 同じフィンガープリントのエラーを受け付ける間隔(ms)（トークンバケットの補充間隔、0で無効）
+      rateLimitBurst: 10, // 同じフィンガープリントのエラーを連続で受け付ける最大件数（トークンバケットの容量）
+      maxErrorsPerSession: 100, // ページセッション中に受け付けるエラーの上限（0で無制限）
+      budgetReportDelayMs: 10000, // 上限到達後、破棄件数をまとめた"budget_exceeded"イベントを送信するまでの待機時間(ms)
+      dedupeWindowMs: 5000, // 同じフィンガープリントのエラーを集約する時間(ms)（0で無効）
       disableSourceMapWarning: false, // ソースマップ警告を無効にするかどうか
+      resolveSourceMaps: false, // 送信前にソースマップでスタックフレームを元の位置に解決するかどうか
+      sourceMapTimeout: 3000, // ソースマップ解決の待機時間(ms)（超過時は解決せずに送信）
       customHeaders: {}, // カスタムHTTPヘッダー
+      handlerMode: "listener", // グローバルエラーハンドラの登録方法（"listener": addEventListener, "property": window.onerrorの上書き）
+      transport: "xhr", // 送信方法（"xhr", "fetch", "beacon" または send(payload, meta)を持つオブジェクト）
       handlePromiseRejections: true, // Promise拒否エラーをハンドルするかどうか
       onErrorCallback: null, // エラー捕捉時に実行するコールバック
       transformRequest: null, // リクエスト変換関数
+      beforeSend: null, // 送信前の処理（関数または関数の配列を順に実行。Promiseを返せる。nullを返すと破棄）
+      plugins: [], // init時に登録するプラグイン（use()と同じ。同名のデフォルトプラグインは置き換える）
       samplingSetting: 1.0, // サンプリング率（0.0-1.0）
       maxAttempts: 3, // 再試行の最大回数
       backoffFactor: 1.5, // バックオフ係数
+      // バッチ送信設定（batchSizeが2以上の場合に複数のエラーを1リクエストで送信）
+      batchSize: 1, // 1リクエストで送信するエラーの最大件数
+      batchIntervalMs: 2000, // バッチが埋まらない場合に送信するまでの待機時間(ms)
+      batchFormat: "json", // バッチの送信形式（"json": JSON配列, "ndjson": 改行区切りJSON）
+      // ページ離脱時の送信設定
+      flushOnUnload: true, // pagehide/visibilitychange(hidden)時に未送信のエラーをsendBeacon/keepaliveで送信するか
+      beaconMaxBytes: 65536, // sendBeacon/keepaliveで1リクエストに送信する最大バイト数（ブラウザの上限は64KB）
+      // 永続キューの設定（未送信のエラーをIndexedDB/localStorageに保存し、次回init時・オンライン復帰時に再送）
+      persistQueue: false, // 未送信のエラーを永続化するかどうか
+      persistStorageKey: "cec_error_queue", // IndexedDBのデータベース名/localStorageのキー
+      persistMaxItems: 100, // 永続化するエラーの最大件数（超過分は古いものから削除）
+      persistMaxAgeMs: 604800000, // 永続化したエラーの保持期間(ms)（デフォルト7日）
       // エラー除外設定
       ignorePatterns: [
         "Script error.",              // クロスオリジンエラー
@@ -82,8 +119,91 @@
       deviceIdCookieDomain: undefined,
       deviceIdExpiryDays: 3650,
       respectDoNotTrack: false,
+      // セッションに関する設定
+      sessionTimeoutMs: 1800000, // 操作がない状態がこの時間(ms)続くと新しいセッションIDを生成（30分）
+      sessionStorageKey: "cec_session", // セッションを保存するsessionStorageのキー
+      sessionPings: false, // セッションの開始・終了時にエラー件数を含むpingを送信するか
+      // 送信前の個人情報・秘密情報のマスキング設定
+      redactPii: true, // 組み込みのルール（メールアドレス・カード番号・JWT・Bearerトークン・秘密のクエリパラメータ・キー）でマスキングするか
+      redactKeys: [], // 値をマスキングするオブジェクトのキー（文字列は大文字小文字を区別せず完全一致、組み込みのルールに追加）
+      redactPatterns: [], // 文字列中のマスキング対象の正規表現（RegExpまたは{ pattern, replacement }、組み込みのルールに追加）
+      redactQueryParams: [], // URL中で値をマスキングするクエリパラメータ名（組み込みのルールに追加）
+      // ブレッドクラム（エラー発生までの操作履歴）に関する設定
+      breadcrumbs: false, // ブレッドクラムを記録してエラーに添付するかどうか（console・fetch・XHR・historyを計装する）
+      maxBreadcrumbs: 30, // 保持するブレッドクラムの最大件数（リングバッファのサイズ）
+      breadcrumbTypes: ["click", "navigation", "http", "console"], // 自動記録するブレッドクラムの種類
+      // consoleの捕捉に関する設定
+      captureConsole: false, // console.error/warnの呼び出しをエラーとして捕捉するかどうか
+      captureConsoleLevels: ["error", "warn"], // 捕捉するconsoleメソッド
+      // 通信エラーの捕捉に関する設定
+      captureHttpErrors: false, // fetch/XHRの失敗（エラーステータス・ネットワークエラー・タイムアウト）をエラーとして捕捉するかどうか
+      httpErrorStatusMin: 500, // エラーとして捕捉するHTTPステータスの下限
+      // リソース読み込みエラーの捕捉に関する設定
+      captureResourceErrors: false, // img/script/link/video等の読み込み失敗をエラーとして捕捉するかどうか
+      resourceSamplingRate: 1.0, // リソース読み込みエラーのサンプリング率（0.0-1.0、samplingSettingの代わりに適用）
+      // 複数クライアント利用時の振り分け設定
+      scriptUrls: [], // このクライアントが担当するスクリプトURLのパターン（グローバルエラーをスタックのURLで振り分ける）
+      // Web Worker/Service Worker内での設定
+      workerDelivery: "direct", // Worker内で捕捉したエラーの送信方法（"direct": Worker内から送信, "postMessage": ページのクライアントに転送）
+      // ログレベルの設定
+      minLevel: "debug", // サーバーに送信する最低レベル（"debug" < "info" < "warn" < "error"、コンソール出力・onErrorCallbackには影響しない）
+    },
+
+    /**
+     * 組み込みのマスキングルール（redactPii: trueの場合に適用）
+     */
+    _defaultRedactionRules: {
+      keys: [
+        /^(password|passwd|pwd|secret|client_?secret|token|access_?token|refresh_?token|id_?token|api_?key|authorization|cookie|set-cookie|credit_?card|card_?number|cvc|cvv)$/i,
+      ],
+      queryParams: [
+        "token", "access_token", "refresh_token", "id_token", "auth", "password",
+        "passwd", "secret", "client_secret", "api_key", "apikey", "code", "signature",
+      ],
+      patterns: [
+        { name: "jwt", pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, replacement: "[Filtered]" },
+        { name: "bearer", pattern: /\b(Bearer)\s+[A-Za-z0-9\-._~+/]+=*/gi, replacement: "$1 [Filtered]" },
+        { name: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: "[Filtered]" },
+        // カード番号らしき13〜19桁の数字（Luhnチェックを通過したもののみ）
+        { name: "card", pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: "[Filtered]", luhn: true },
+      ],
     },
 
+    /**
+     * 読み込みエラーを捕捉する要素のタグ名（captureResourceErrors: trueの場合）
+     */
+    _resourceTagNames: ["img", "script", "link", "video", "audio", "source", "track", "iframe", "embed", "object", "input"],
+
+    /**
+     * Workerからページへ転送するメッセージの識別子
+     */
+    _workerMessageType: "client-error-capture:event",
+
+    /**
+     * このスクリプトのURL（クエリ文字列からリリースを検出するため、読み込み時に取得）
+     */
+    _scriptSrc: typeof document !== "undefined" && document.currentScript ? document.currentScript.src || "" : "",
+
+    /**
+     * ビルド時にリリースを埋め込むグローバル変数名（文字列または{ release, dist }）
+     */
+    _releaseGlobalName: "CLIENT_ERROR_CAPTURE_RELEASE",
+
+    /**
+     * 初めて検出したリリースを保持するフィンガープリントの最大数（古いものから削除）
+     */
+    _maxFirstSeenEntries: 500,
+
+    /**
+     * consoleメソッドとログレベルの対応
+     */
+    _consoleLevels: { debug: "debug", info: "info", log: "info", warn: "warn", error: "error" },
+
+    /**
+     * ログレベルの順序（minLevelとの比較に使用）
+     */
+    _levelOrder: { debug: 0, info: 1, warn: 2, error: 3 },
+
     /**
      * ユーザー設定
      */
@@ -94,6 +214,11 @@
      */
     config: {},
 
+    /**
+     * 登録中のグローバルエラーハンドラ（解除用）
+     */
+    _globalHandlers: null,
+
     /**
      * 元のウィンドウonerrorハンドラ
      */
@@ -105,10 +230,70 @@
     originalOnUnhandledRejection: null,
 
     /**
-     * 最後のエラー時刻を記録（スロットリング用）
+     * 最後に受け付けたエラーの時刻
      */
     lastErrorTime: 0,
 
+    /**
+     * フィンガープリントごとのトークンバケット
+     */
+    _rateLimitBuckets: {},
+
+    /**
+     * ページセッション中に受け付けたエラー数
+     */
+    _sessionErrorCount: 0,
+
+    /**
+     * レート制限・セッション上限で破棄したエラーの件数
+     */
+    _droppedErrors: { rateLimit: 0, sessionCap: 0, byFingerprint: {} },
+
+    /**
+     * 破棄したイベントの理由別件数と、beforeSendの処理ごとの例外件数（getStatsで取得）
+     */
+    _stats: { dropped: {}, processorErrors: {} },
+
+    /**
+     * 登録済みのプラグイン（実行順）
+     */
+    _plugins: [],
+
+    /**
+     * プラグインのsetupを実行済みかどうか（teardownまで再実行しない）
+     */
+    _pluginsSetUp: false,
+
+    /**
+     * 現在のセッション（id, startedAt, lastActivityAt, errorCount）
+     */
+    _session: null,
+
+    /**
+     * sessionプラグインが登録したリスナーの解除用関数
+     */
+    _sessionRestorers: [],
+
+    /**
+     * 自動検出したリリース（versionとdist）
+     */
+    _detectedRelease: {},
+
+    /**
+     * フィンガープリントと初めて検出したリリースの組（[fingerprint, release]、古い順）
+     */
+    _firstSeenEntries: null,
+
+    /**
+     * "budget_exceeded"イベントの送信待ちタイマー
+     */
+    _budgetReportTimer: null,
+
+    /**
+     * "budget_exceeded"イベントを送信済みかどうか（セッション中に1回のみ）
+     */
+    _budgetReported: false,
+
     /**
      * 初期化済みフラグ
      */
@@ -124,6 +309,74 @@
      */
     isProcessingQueue: false,
 
+    /**
+     * 送信中（キューから取り出して応答を待っている）のエラー情報
+     * ページ離脱でリクエストがキャンセルされる場合に備え、離脱時はこれらもsendBeacon/keepaliveで送信する
+     */
+    _inFlightItems: [],
+
+    /**
+     * 送信に失敗し、バックオフ後の再試行を待っているエラー情報
+     */
+    _pendingRetries: [],
+
+    /**
+     * バッチ送信待ちのタイマー
+     */
+    _batchTimer: null,
+
+    /**
+     * フィンガープリントごとの重複集約状態
+     */
+    _dedupeEntries: {},
+
+    /**
+     * 永続ストア（IndexedDB/localStorage）を開くPromise
+     */
+    _persistentStorePromise: null,
+
+    /**
+     * ブレッドクラムのリングバッファ
+     */
+    _breadcrumbBuffer: [],
+
+    /**
+     * リングバッファの次の書き込み位置
+     */
+    _breadcrumbHead: 0,
+
+    /**
+     * リングバッファに格納されている件数
+     */
+    _breadcrumbSize: 0,
+
+    /**
+     * すべてのイベントに付与するユーザー・タグ・コンテキスト
+     */
+    _scope: { user: null, tags: {}, contexts: {} },
+
+    /**
+     * 計装（console/fetch等のラップ）を元に戻すための関数リスト
+     */
+    _instrumentationRestorers: [],
+
+    /**
+     * ライブラリ内部からのconsole出力中フラグ（console捕捉の再帰防止用）
+     * 計装は複数クライアントで重なるため、デフォルトクライアント上の値をすべてのクライアントで共有する
+     */
+    _internalConsoleCall: false,
+
+    /**
+     * ライブラリ内部からのリクエスト中フラグ（fetch/XHR計装の対象外とする）
+     * _internalConsoleCallと同様にすべてのクライアントで共有する
+     */
+    _internalRequest: false,
+
+    /**
+     * スクリプトURLごとの解析済みソースマップ（Promise）のキャッシュ
+     */
+    _sourceMapCache: {},
+
     /**
      * ライブラリを初期化する
      * @param {Object} userConfig ユーザー設定
@@ -136,50 +389,127 @@
           return this;
         }
 
-        // 設定をマージ
+        // 設定をマージ（自動検出したリリースはデフォルト設定より優先し、ユーザー設定より優先しない）
         this.userConfig = userConfig || {};
-        this.config = this._mergeConfig(this.defaultConfig, this.userConfig);
-
-        // 元のエラーハンドラを保存
-        this.originalOnError = window.onerror;
-        this.originalOnUnhandledRejection = window.onunhandledrejection;
-
-        // デバイスIDを初期化
-        try {
-          this.deviceId = this._getOrCreateDeviceId();
-        } catch (_) {
-          this.deviceId = this._generateEventId();
-        }
+        this._detectedRelease = this._detectRelease();
+        this.config = this._mergeConfig(this._mergeConfig(this.defaultConfig, this._detectedRelease), this.userConfig);
+
+        // 元のエラーハンドラを保存（再初期化の場合は以前のハンドラを解除してから）
+        this._uninstallHandler();
+        this.originalOnError = globalScope.onerror;
+        this.originalOnUnhandledRejection = globalScope.onunhandledrejection;
+
+        // デフォルトプラグイン、設定のプラグイン、init前にuse()したプラグインの順に登録（同名のプラグインは後から登録したものに置き換える）
+        var registeredPlugins = this._plugins;
+        this._plugins = [];
+        this.defaultPlugins
+          .concat(this.config.plugins || [], registeredPlugins)
+          .forEach(function (plugin) {
+            if (this._isPlugin(plugin)) {
+              this._registerPlugin(plugin);
+            }
+          }, this);
 
         // エラーハンドラをインストール
         this._installHandler();
 
+        // ブレッドクラム記録・console捕捉の計装をインストール
+        this._installInstrumentation();
+
         this.initialized = true;
+        if (clients.indexOf(this) === -1) {
+          clients.push(this);
+        }
+
+        // プラグインのsetupを実行（デバイスIDの初期化など）
+        this._setupPlugins();
+
+        // 前回までに送信できなかったエラーを再送
+        this._replayPersistedQueue();
         if (this.config.logToConsole) {
           this._log("ClientErrorCapture initialized with config:", this.config);
         }
 
         return this;
       } catch (err) {
-        console.error("Failed to initialize ClientErrorCapture:", err);
+        this._logError("Failed to initialize ClientErrorCapture:", err);
         return this;
       }
     },
 
     /**
      * グローバルエラーハンドラをインストールする
+     * handlerMode: "listener"（デフォルト）ではaddEventListenerで登録し、
+     * "property"またはaddEventListenerが使えない環境ではwindow.onerror等を既存のハンドラとチェーンして上書きする
      * @private
      */
     _installHandler: function () {
-      // thisを束縛したメソッドの参照を作成
-      const handleError = this._handleError.bind(this);
+      // 繰り返しenable()しても二重に登録されないよう、既存のハンドラは一度解除する
+      this._uninstallHandler();
+
+      if (this.config.handlerMode !== "property" && typeof globalScope.addEventListener === "function") {
+        this._installListenerHandlers();
+      } else {
+        this._installPropertyHandlers();
+      }
+    },
+
+    /**
+     * addEventListenerでグローバルエラーハンドラを登録する
+     * 後から他のライブラリがglobalScope.onerrorを上書きしても捕捉が止まらない
+     * @private
+     */
+    _installListenerHandlers: function () {
+      const self = this;
+      const handlers = { mode: "listener", error: null, unhandledrejection: null };
+
+      handlers.error = function (event) {
+        // リソース読み込みエラーはバブリングしないため通常は届かないが、念のため除外する
+        if (!event || (event.target && event.target !== globalScope && event.target.tagName)) {
+          return;
+        }
+
+        const handled = self._handleGlobalError({
+          type: "uncaught",
+          message: event.message,
+          source: event.filename,
+          lineno: event.lineno,
+          colno: event.colno,
+          error: event.error,
+        });
+
+        // onerrorでtrueを返す場合と同様に、ブラウザのデフォルトエラー処理を抑制する
+        if (handled && typeof event.preventDefault === "function") {
+          event.preventDefault();
+        }
+      };
+      globalScope.addEventListener("error", handlers.error);
+
+      // Promise拒否エラーのハンドリングが有効な場合、そのハンドラも登録
+      if (this.config.handlePromiseRejections) {
+        handlers.unhandledrejection = function (event) {
+          self._handleGlobalError(self._createRejectionErrorData(event));
+        };
+        globalScope.addEventListener("unhandledrejection", handlers.unhandledrejection);
+      }
+
+      this._globalHandlers = handlers;
+    },
+
+    /**
+     * globalScope.onerror/globalScope.onunhandledrejectionを上書きしてグローバルエラーハンドラを設定する（互換モード）
+     * 元のハンドラはチェーンして呼び出す
+     * @private
+     */
+    _installPropertyHandlers: function () {
+      const self = this;
       const originalOnError = this.originalOnError;
       const originalOnUnhandledRejection = this.originalOnUnhandledRejection;
-      const config = this.config;
+      const handlers = { mode: "property", error: null, unhandledrejection: null };
 
-      // window.onerrorハンドラを設定
-      window.onerror = function (message, source, lineno, colno, error) {
-        const handled = handleError({
+      // globalScope.onerrorハンドラを設定
+      handlers.error = function (message, source, lineno, colno, error) {
+        const handled = self._handleGlobalError({
           type: "uncaught",
           message: message,
           source: source,
@@ -196,20 +526,12 @@
         // trueを返すと、ブラウザのデフォルトエラー処理が抑制される
         return handled;
       };
+      globalScope.onerror = handlers.error;
 
       // Promise拒否エラーのハンドリングが有効な場合、そのハンドラも設定
-      if (config.handlePromiseRejections) {
-        window.onunhandledrejection = function (event) {
-          const reason = event.reason || "Promise rejection reason unavailable";
-          const message =
-            reason instanceof Error ? reason.message : String(reason);
-
-          const handled = handleError({
-            type: "unhandledrejection",
-            message: message,
-            error: reason instanceof Error ? reason : new Error(message),
-            event: event,
-          });
+      if (this.config.handlePromiseRejections) {
+        handlers.unhandledrejection = function (event) {
+          const handled = self._handleGlobalError(self._createRejectionErrorData(event));
 
           // 元のハンドラが存在する場合は呼び出す
           if (typeof originalOnUnhandledRejection === "function") {
@@ -221,131 +543,567 @@
           // falseを返すとブラウザのデフォルト処理が続行される
           return handled;
         };
+        globalScope.onunhandledrejection = handlers.unhandledrejection;
       }
+
+      this._globalHandlers = handlers;
     },
 
     /**
-     * エラーを処理する
-     * @param {Object} errorData エラーデータ
+     * グローバルエラーハンドラを解除する
      * @private
-     * @return {Boolean} エラーハンドル結果
      */
-    _handleError: function (errorData) {
-      try {
-        // 除外パターンに基づいてエラーをフィルタリング
-        if (this._shouldIgnoreError(errorData)) {
-          if (this.config.logToConsole) {
-            this._log("Error ignored by pattern:", errorData.message);
+    _uninstallHandler: function () {
+      const handlers = this._globalHandlers;
+      if (!handlers) {
+        return;
+      }
+      this._globalHandlers = null;
+
+      if (handlers.mode === "listener") {
+        if (typeof globalScope.removeEventListener === "function") {
+          globalScope.removeEventListener("error", handlers.error);
+          if (handlers.unhandledrejection) {
+            globalScope.removeEventListener("unhandledrejection", handlers.unhandledrejection);
           }
-          return false;
         }
+        return;
+      }
 
-        // サンプリング率に基づいてエラーをフィルタリング
-        if (Math.random() > this.config.samplingSetting) {
-          return false;
-        }
+      // 自身のハンドラが設定されたままの場合のみ元のハンドラ（nullを含む）に戻す
+      // 後から他のライブラリがチェーンしている場合は上書きせず、無効化中はハンドラ内で処理をスキップする
+      if (globalScope.onerror === handlers.error) {
+        globalScope.onerror = this.originalOnError;
+      }
+      if (handlers.unhandledrejection && globalScope.onunhandledrejection === handlers.unhandledrejection) {
+        globalScope.onunhandledrejection = this.originalOnUnhandledRejection;
+      }
+    },
 
-        // スロットリング処理
-        var now = Date.now();
-        if (now - this.lastErrorTime < this.config.throttleTime) {
-          if (this.config.logToConsole) {
-            this._log("Error throttled");
-          }
-          return false;
-        }
-        this.lastErrorTime = now;
+    /**
+     * unhandledrejectionイベントからエラーデータを作成する
+     * @param {PromiseRejectionEvent} event イベント
+     * @private
+     * @return {Object} エラーデータ
+     */
+    _createRejectionErrorData: function (event) {
+      const reason = (event && event.reason) || "Promise rejection reason unavailable";
+      const message = reason instanceof Error ? reason.message : String(reason);
 
-        // エラー情報をフォーマット
-        var errorInfo = this._formatErrorInfo(errorData);
+      return {
+        type: "unhandledrejection",
+        message: message,
+        error: reason instanceof Error ? reason : new Error(message),
+        event: event,
+      };
+    },
 
-        // ユーザーが指定したコールバックがある場合、実行
-        if (typeof this.config.onErrorCallback === "function") {
-          try {
-            this.config.onErrorCallback(errorInfo);
-          } catch (callbackError) {
-            if (this.config.logToConsole) {
-              console.error(
-                "Error in ClientErrorCapture callback:",
-                callbackError
-              );
-            }
-          }
-        }
+    /**
+     * グローバルハンドラで受け取ったエラーを処理する
+     * 無効化中のハンドラや、他のクライアントが担当するエラーは処理しない
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Boolean} エラーハンドル結果
+     */
+    _handleGlobalError: function (errorData) {
+      if (!this.config.enabled || !this._isGlobalErrorOwner(errorData)) {
+        return false;
+      }
+      return this._handleError(errorData);
+    },
 
-        // コンソールにエラーを出力
-        if (this.config.logToConsole) {
-          console.error(
-            "ClientErrorCapture caught error:",
-            errorInfo.message,
-            errorInfo
-          );
-        }
+    /**
+     * グローバルエラーをこのクライアントが処理すべきかどうか
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Boolean} このクライアントが担当する場合true
+     */
+    _isGlobalErrorOwner: function (errorData) {
+      // clientsに登録されていない（init前の）場合は従来どおり処理する
+      if (clients.indexOf(this) === -1) {
+        return true;
+      }
+      return this._resolveClientForError(errorData) === this;
+    },
 
-        // リクエスト変換関数がある場合、適用
-        if (typeof this.config.transformRequest === "function") {
-          try {
-            const transformedErrorInfo =
-              this.config.transformRequest(errorInfo);
+    /**
+     * グローバルエラーを担当するクライアントを決定する
+     * エラー発生元のURL・スタックフレームのファイルを上から順に見て、scriptUrlsに最初にマッチしたクライアントを選ぶ
+     * どのクライアントにもマッチしない場合はデフォルトクライアント（init済みの場合）、
+     * 次にscriptUrlsを指定していないクライアントが担当する
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Object|null} 担当するクライアント（該当なしの場合null）
+     */
+    _resolveClientForError: function (errorData) {
+      var candidates = clients.filter(function (client) {
+        return client.initialized && client.config.enabled;
+      });
+      if (candidates.length <= 1) {
+        return candidates[0] || null;
+      }
 
-            // transformRequestがnullを返した場合、エラーは送信されない
-            if (transformedErrorInfo === null) {
-              if (this.config.logToConsole) {
-                this._log("Error log suppressed by transformRequest function");
-              }
-              return true;
-            }
+      var files = [];
+      if (errorData.source) {
+        files.push(String(errorData.source));
+      }
+      if (errorData.error && errorData.error.stack) {
+        this._parseStackFrames(String(errorData.error.stack)).forEach(function (frame) {
+          if (frame.file) {
+            files.push(frame.file);
+          }
+        });
+      }
 
-            // 変換されたエラー情報を使用
-            errorInfo = transformedErrorInfo;
-          } catch (transformError) {
-            if (this.config.logToConsole) {
-              console.error(
-                "Error in transformRequest function:",
-                transformError
-              );
+      for (var i = 0; i < files.length; i++) {
+        for (var j = 0; j < candidates.length; j++) {
+          var patterns = candidates[j].config.scriptUrls || [];
+          for (var k = 0; k < patterns.length; k++) {
+            if (this._matchesPattern(files[i], patterns[k])) {
+              return candidates[j];
             }
           }
         }
+      }
 
-        // サーバーへのログ送信が有効な場合、エラーをキューに追加
-        if (this.config.logToServer && this.config.logServerUrl) {
-          this._queueError(errorInfo);
+      if (candidates.indexOf(ClientErrorCapture) !== -1) {
+        return ClientErrorCapture;
+      }
+      for (var n = 0; n < candidates.length; n++) {
+        if (!(candidates[n].config.scriptUrls || []).length) {
+          return candidates[n];
         }
-
-        return true;
-      } catch (handlerError) {
-        console.error("Error in ClientErrorCapture handler:", handlerError);
-        return false;
       }
+      return null;
     },
 
     /**
-     * エラー情報をフォーマットする
+     * エラーを処理する
      * @param {Object} errorData エラーデータ
      * @private
-     * @return {Object} フォーマットされたエラー情報
-     */
-    /**
-     * 一意のIDを生成する
-     * @private
-     * @return {String} 生成されたID
+     * @return {Boolean} エラーハンドル結果
      */
-    // 互換維持: 旧API名は内部的にeventId生成へ委譲
-    _generateUniqueId: function () {
-      return this._generateEventId();
+    _handleError: function (errorData) {
+      try {
+        // エラー情報をフォーマットし、プラグインのonEventで除外・情報の付与を行う
+        var errorInfo = this._applyEventPlugins(this._formatErrorInfo(errorData), errorData);
+        if (!errorInfo) {
+          return false;
+        }
+
+        // サンプリング率に基づいてエラーをフィルタリング（リソース読み込みエラーは専用のサンプリング率）
+        var samplingRate =
+          errorData.type === "resource" ? this.config.resourceSamplingRate : this.config.samplingSetting;
+        if (Math.random() > samplingRate) {
+          this._countDrop("sampled");
+          return false;
+        }
+
+        return this._dispatchErrorInfo(errorInfo, { originalException: errorData.error });
+      } catch (handlerError) {
+        this._logError("Error in ClientErrorCapture handler:", handlerError);
+        return false;
+      }
     },
 
     /**
-     * イベントごと一意のIDを生成（UUID v4優先）
+     * フォーマット済みのエラー情報をレート制限・コールバック・変換・beforeSendを経て送信キューに渡す
+     * @param {Object} errorInfo エラー情報
+     * @param {Object} hint beforeSendに渡す情報（originalException: 元のErrorオブジェクト）
      * @private
-     * @return {String} 生成されたeventId
+     * @return {Boolean} エラーハンドル結果
      */
-    _generateEventId: function () {
-      try {
-        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
-          return crypto.randomUUID();
+    _dispatchErrorInfo: function (errorInfo, hint) {
+      // フィンガープリントごとのレート制限とセッション全体の上限
+      // minLevel未満のイベントはサーバーに送信しないため、枠を消費させない
+      var belowMinLevel = !this._shouldForwardToPage() && !this._meetsMinLevel(errorInfo.level);
+      if (!belowMinLevel && !this._consumeErrorBudget(errorInfo.fingerprint)) {
+        return false;
+      }
+      this.lastErrorTime = Date.now();
+
+      // エラー発生時点のブレッドクラム（送信キューに渡す時に添付し、送信時にmeta.breadcrumbsへ移動）
+      var breadcrumbs = this.config.breadcrumbs ? this._getBreadcrumbs() : undefined;
+
+      // 後続のエラーから参照できるよう、エラー自体もブレッドクラムとして記録
+      this._pushBreadcrumb({
+        timestamp: errorInfo.timestamp,
+        category: "error",
+        level: errorInfo.level,
+        message: errorInfo.message,
+        data: { type: errorInfo.type },
+      });
+
+      // ユーザーが指定したコールバックがある場合、実行
+      if (typeof this.config.onErrorCallback === "function") {
+        try {
+          this.config.onErrorCallback(errorInfo);
+        } catch (callbackError) {
+          if (this.config.logToConsole) {
+            this._logError(
+              "Error in ClientErrorCapture callback:",
+              callbackError
+            );
+          }
         }
-      } catch (_) {}
+      }
+
+      // コンソールにエラーを出力
+      if (this.config.logToConsole) {
+        this._logError(
+          "ClientErrorCapture caught error:",
+          errorInfo.message,
+          errorInfo
+        );
+      }
+
+      // リクエスト変換関数がある場合、適用
+      if (typeof this.config.transformRequest === "function") {
+        try {
+          const transformedErrorInfo =
+            this.config.transformRequest(errorInfo);
+
+          // transformRequestがnullを返した場合、エラーは送信されない
+          if (transformedErrorInfo === null) {
+            this._countDrop("transformRequest");
+            if (this.config.logToConsole) {
+              this._log("Error log suppressed by transformRequest function");
+            }
+            return true;
+          }
+
+          // 変換されたエラー情報を使用
+          errorInfo = transformedErrorInfo;
+        } catch (transformError) {
+          if (this.config.logToConsole) {
+            this._logError(
+              "Error in transformRequest function:",
+              transformError
+            );
+          }
+        }
+      }
+
+      if (!this._shouldForwardToPage() && !this._canSendToServer()) {
+        return true;
+      }
+
+      // プラグインのbeforeSendはイベントごとに1回、設定のbeforeSendより前に実行
+      errorInfo = this._applyBeforeSendPlugins(errorInfo);
+
+      // beforeSendがない場合は従来どおり同期的に送信キューへ渡す
+      if (this._getBeforeSendProcessors().length === 0) {
+        this._deliverErrorInfo(errorInfo, breadcrumbs);
+      } else {
+        this._runBeforeSend(errorInfo, hint || {}).then(
+          function (processedErrorInfo) {
+            if (processedErrorInfo) {
+              this._deliverErrorInfo(processedErrorInfo, breadcrumbs);
+            }
+          }.bind(this)
+        );
+      }
+
+      return true;
+    },
+
+    /**
+     * Worker内でworkerDelivery: "postMessage"の場合はページのクライアントに転送し、
+     * それ以外ではminLevel以上のエラーを送信キューに追加する
+     * @param {Object} errorInfo エラー情報
+     * @param {Array} breadcrumbs エラー発生時点のブレッドクラム（省略時は添付しない）
+     * @private
+     */
+    _deliverErrorInfo: function (errorInfo, breadcrumbs) {
+      // コールバック等に渡したエラー情報は変更せず、送信用のコピーに添付する
+      if (breadcrumbs) {
+        errorInfo = { ...errorInfo, _breadcrumbs: breadcrumbs };
+      }
+
+      if (this._shouldForwardToPage()) {
+        this._forwardToPage(errorInfo);
+      } else if (!this._meetsMinLevel(errorInfo.level)) {
+        this._countDrop("minLevel");
+      } else {
+        this._queueWithDedupe(errorInfo);
+      }
+    },
+
+    /**
+     * 設定されたbeforeSendの処理を配列で取得する
+     * @private
+     * @return {Array} 関数の配列
+     */
+    _getBeforeSendProcessors: function () {
+      var beforeSend = this.config.beforeSend;
+      var processors = Array.isArray(beforeSend) ? beforeSend : beforeSend ? [beforeSend] : [];
+      return processors.filter(function (processor) {
+        return typeof processor === "function";
+      });
+    },
+
+    /**
+     * beforeSendの処理を順に実行する
+     * 各処理は(event, hint)を受け取り、イベント（またはそのPromise）を返す。nullかfalseを返すと破棄、undefinedの場合は受け取ったイベントのまま続行する
+     * 処理が例外を投げた場合は、その処理を飛ばして続行する
+     * @param {Object} errorInfo エラー情報
+     * @param {Object} hint originalException等
+     * @private
+     * @return {Promise} 処理後のエラー情報（破棄された場合null）を返すPromise
+     */
+    _runBeforeSend: function (errorInfo, hint) {
+      var self = this;
+      var dropReason = null;
+      var processorHint = {
+        ...hint,
+        // return hint.drop("reason")で破棄理由を指定できる
+        drop: function (reason) {
+          dropReason = reason ? String(reason) : null;
+          return null;
+        },
+      };
+
+      return this._getBeforeSendProcessors().reduce(function (chain, processor, index) {
+        return chain.then(function (event) {
+          if (!event) {
+            return null;
+          }
+
+          var name = processor.name || "#" + index;
+          dropReason = null;
+          return Promise.resolve()
+            .then(function () {
+              return processor(event, processorHint);
+            })
+            .then(
+              function (result) {
+                if (result === null || result === false) {
+                  self._countDrop("beforeSend:" + (dropReason || name));
+                  if (self.config.logToConsole) {
+                    self._log("Error dropped by beforeSend:", dropReason || name);
+                  }
+                  return null;
+                }
+                return result && typeof result === "object" ? result : event;
+              },
+              function (processorError) {
+                var errors = self._stats.processorErrors;
+                errors[name] = (errors[name] || 0) + 1;
+                self._logError("Error in beforeSend processor (" + name + "):", processorError);
+                return event;
+              }
+            );
+        });
+      }, Promise.resolve(errorInfo));
+    },
+
+    /**
+     * 破棄したイベントを理由別に数える
+     * @param {String} reason 破棄理由
+     * @private
+     */
+    _countDrop: function (reason) {
+      var dropped = this._stats.dropped;
+      dropped[reason] = (dropped[reason] || 0) + 1;
+    },
+
+    /**
+     * プラグインとして登録できるオブジェクトかどうか（nameが必須）
+     * @param {Object} plugin プラグイン
+     * @private
+     * @return {Boolean} 登録できる場合true
+     */
+    _isPlugin: function (plugin) {
+      if (!plugin || typeof plugin !== "object" || typeof plugin.name !== "string" || !plugin.name) {
+        this._logError("A plugin must be an object with a name.");
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * プラグインを登録する（同名のプラグインが登録済みの場合は同じ位置で置き換える）
+     * @param {Object} plugin プラグイン
+     * @private
+     * @return {Object|null} 置き換えたプラグイン
+     */
+    _registerPlugin: function (plugin) {
+      for (var i = 0; i < this._plugins.length; i++) {
+        if (this._plugins[i].name === plugin.name) {
+          var replaced = this._plugins[i];
+          this._plugins[i] = plugin;
+          return replaced;
+        }
+      }
+      this._plugins.push(plugin);
+      return null;
+    },
+
+    /**
+     * プラグインのフックを呼び出す
+     * フックが例外を投げた場合はログに出力し、プラグインごとの例外件数（getStatsのprocessorErrors）に数える
+     * @param {Object} plugin プラグイン
+     * @param {String} hook フック名
+     * @param {Array} args 引数
+     * @private
+     * @return {*} フックの戻り値（フックがない・例外の場合undefined）
+     */
+    _callPluginHook: function (plugin, hook, args) {
+      if (typeof plugin[hook] !== "function") {
+        return undefined;
+      }
+      try {
+        return plugin[hook].apply(plugin, args);
+      } catch (hookError) {
+        var key = "plugin:" + plugin.name;
+        var errors = this._stats.processorErrors;
+        errors[key] = (errors[key] || 0) + 1;
+        this._logError("Error in plugin hook (" + plugin.name + "." + hook + "):", hookError);
+        return undefined;
+      }
+    },
+
+    /**
+     * すべてのプラグインのsetupを実行する（実行済みの場合は何もしない）
+     * @private
+     */
+    _setupPlugins: function () {
+      if (this._pluginsSetUp) {
+        return;
+      }
+      this._pluginsSetUp = true;
+      for (var i = 0; i < this._plugins.length; i++) {
+        this._callPluginHook(this._plugins[i], "setup", [this]);
+      }
+    },
+
+    /**
+     * すべてのプラグインのteardownを実行する（setup前の場合は何もしない）
+     * @private
+     */
+    _teardownPlugins: function () {
+      if (!this._pluginsSetUp) {
+        return;
+      }
+      this._pluginsSetUp = false;
+      for (var i = 0; i < this._plugins.length; i++) {
+        this._callPluginHook(this._plugins[i], "teardown", [this]);
+      }
+    },
+
+    /**
+     * プラグインのonEventを順に実行する
+     * onEventはイベントを直接変更するか、置き換えるイベントを返す。nullかfalseを返すと破棄し、以降のプラグインは実行しない
+     * @param {Object} errorInfo フォーマット済みのエラー情報
+     * @param {Object} errorData フォーマット前のエラーデータ
+     * @private
+     * @return {Object|null} 処理後のエラー情報（破棄された場合null）
+     */
+    _applyEventPlugins: function (errorInfo, errorData) {
+      var event = errorInfo;
+      var dropReason = null;
+      var hint = {
+        client: this,
+        errorData: errorData,
+        originalException: errorData.error,
+        // return hint.drop("reason")で破棄理由を指定できる
+        drop: function (reason) {
+          dropReason = reason ? String(reason) : null;
+          return null;
+        },
+      };
+
+      for (var i = 0; i < this._plugins.length; i++) {
+        var plugin = this._plugins[i];
+        dropReason = null;
+        var result = this._callPluginHook(plugin, "onEvent", [event, hint]);
+        if (result === null || result === false) {
+          this._countDrop(dropReason || "plugin:" + plugin.name);
+          return null;
+        }
+        if (result && typeof result === "object") {
+          event = result;
+        }
+      }
+      return event;
+    },
+
+    /**
+     * プラグインのbeforeSendを順に実行して送信するイベントを変更する
+     * @param {Object} errorInfo エラー情報
+     * @private
+     * @return {Object} 変更後のエラー情報
+     */
+    _applyBeforeSendPlugins: function (errorInfo) {
+      for (var i = 0; i < this._plugins.length; i++) {
+        var result = this._callPluginHook(this._plugins[i], "beforeSend", [errorInfo, this]);
+        if (result && typeof result === "object") {
+          errorInfo = result;
+        }
+      }
+      return errorInfo;
+    },
+
+    /**
+     * プラグインのafterSendに送信結果を通知する
+     * @param {Object} result success, payload, response（成功時）, error（失敗時）, batchを含むオブジェクト
+     * @private
+     */
+    _notifyAfterSend: function (result) {
+      for (var i = 0; i < this._plugins.length; i++) {
+        this._callPluginHook(this._plugins[i], "afterSend", [result, this]);
+      }
+    },
+
+    /**
+     * ログレベルを正規化する
+     * @param {String} level ログレベル
+     * @param {String} defaultLevel 未指定・不正な値の場合のレベル
+     * @private
+     * @return {String} "debug" | "info" | "warn" | "error"
+     */
+    _normalizeLevel: function (level, defaultLevel) {
+      return Object.prototype.hasOwnProperty.call(this._levelOrder, level) ? level : defaultLevel;
+    },
+
+    /**
+     * サーバーに送信するレベル（minLevel以上）かどうか
+     * @param {String} level ログレベル
+     * @private
+     * @return {Boolean} 送信する場合true
+     */
+    _meetsMinLevel: function (level) {
+      var minLevel = this._normalizeLevel(this.config.minLevel, "debug");
+      return this._levelOrder[this._normalizeLevel(level, "error")] >= this._levelOrder[minLevel];
+    },
+
+    /**
+     * エラー情報をフォーマットする
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Object} フォーマットされたエラー情報
+     */
+    /**
+     * 一意のIDを生成する
+     * @private
+     * @return {String} 生成されたID
+     */
+    // 互換維持: 旧API名は内部的にeventId生成へ委譲
+    _generateUniqueId: function () {
+      return this._generateEventId();
+    },
+
+    /**
+     * イベントごと一意のIDを生成（UUID v4優先）
+     * @private
+     * @return {String} 生成されたeventId
+     */
+    _generateEventId: function () {
+      try {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+          return crypto.randomUUID();
+        }
+      } catch (_) {}
       try {
         if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
           var buf = new Uint8Array(16);
@@ -431,215 +1189,2369 @@
     },
 
     /**
-     * エラー情報をフォーマットする
-     * @param {Object} errorData エラーデータ
+     * 操作を記録して現在のセッションを取得する
+     * 保存されたセッションがないか、最後の操作からsessionTimeoutMs以上経過している場合は新しいセッションを開始する
      * @private
-     * @return {Object} フォーマットされたエラー情報
+     * @return {Object} セッション
      */
-    _formatErrorInfo: function (errorData) {
-      var errorType = errorData.type || "unknown";
-      var errorObj = errorData.error || {};
-      var errorMessage = "";
-      var stack = "";
+    _touchSession: function () {
+      var now = Date.now();
+      var session = this._session || this._loadSession();
 
-      // エラーメッセージを取得
-      if (typeof errorData.message === "string") {
-        errorMessage = errorData.message;
-      } else if (errorObj instanceof Error) {
-        errorMessage = errorObj.message || "Unknown error";
-      } else if (typeof errorObj === "string") {
-        errorMessage = errorObj;
-      } else {
-        try {
-          errorMessage = JSON.stringify(errorObj);
-        } catch {
-          errorMessage = "Unstringifiable error object";
-        }
+      if (session && now - session.lastActivityAt > this.config.sessionTimeoutMs) {
+        this._sendSessionPing("end", session);
+        session = null;
+      }
+      if (!session) {
+        session = { id: this._generateEventId(), startedAt: now, lastActivityAt: now, errorCount: 0 };
+        this._sendSessionPing("start", session);
       }
 
-      // スタックトレースを取得
-      if (errorObj instanceof Error && errorObj.stack) {
-        stack = errorObj.stack;
+      session.lastActivityAt = now;
+      this._session = session;
+      this._saveSession();
+      return session;
+    },
 
-        // スタックトレースが長すぎる場合は切り詰める
-        if (
-          this.config.maxStackLength > 0 &&
-          stack.length > this.config.maxStackLength
-        ) {
-          stack = stack.substring(0, this.config.maxStackLength) + "...";
+    /**
+     * イベントにセッションIDを付与し、エラーの場合はセッションのエラー件数を加算する
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _recordSessionEvent: function (errorInfo) {
+      var session = this._touchSession();
+      errorInfo.sessionId = session.id;
+      if (errorInfo.level === "error") {
+        session.errorCount++;
+        this._saveSession();
+      }
+    },
+
+    /**
+     * 現在のセッションの終了pingを送信する（ページ離脱時）
+     * リロードでは同じセッションが続くため、同じセッションの終了pingが複数回送信される場合がある
+     * @param {Boolean} unloading ページ離脱時の場合true（sendBeacon/keepaliveで送信する）
+     * @private
+     */
+    _endSession: function (unloading) {
+      var session = this._session;
+      if (!session) {
+        return;
+      }
+      // 期限切れのセッションは最後の操作の時点で終了したものとして扱う
+      if (Date.now() - session.lastActivityAt <= this.config.sessionTimeoutMs) {
+        session.lastActivityAt = Date.now();
+        this._saveSession();
+      }
+      this._sendSessionPing("end", session, unloading);
+    },
+
+    /**
+     * sessionStorageからセッションを読み込む
+     * @private
+     * @return {Object|null} セッション
+     */
+    _loadSession: function () {
+      try {
+        var stored = JSON.parse(globalScope.sessionStorage.getItem(this.config.sessionStorageKey));
+        if (stored && typeof stored.id === "string" && typeof stored.lastActivityAt === "number") {
+          return {
+            id: stored.id,
+            startedAt: stored.startedAt || stored.lastActivityAt,
+            lastActivityAt: stored.lastActivityAt,
+            errorCount: stored.errorCount || 0,
+          };
         }
+      } catch (_) {}
+      return null;
+    },
+
+    /**
+     * 現在のセッションをsessionStorageに保存する（Worker内など使えない場合はメモリ上のみ）
+     * @private
+     */
+    _saveSession: function () {
+      try {
+        globalScope.sessionStorage.setItem(this.config.sessionStorageKey, JSON.stringify(this._session));
+      } catch (_) {}
+    },
+
+    /**
+     * セッションの開始・終了pingを送信キューに追加する（sessionPings: trueの場合）
+     * Worker内のセッションはページ側のセッションに置き換えられるため送信しない
+     * @param {String} status "start"または"end"
+     * @param {Object} session セッション
+     * @param {Boolean} unloading ページ離脱時の場合true
+     * @private
+     */
+    _sendSessionPing: function (status, session, unloading) {
+      if (!this.config.sessionPings || this._getWorkerType() || !this._canSendToServer()) {
+        return;
       }
 
-      // ブラウザ情報を収集
-      var browserInfo = this._getBrowserInfo();
+      var sessionInfo = {
+        status: status,
+        startedAt: new Date(session.startedAt).toISOString(),
+        errorCount: session.errorCount,
+      };
+      if (status === "end") {
+        sessionInfo.duration = Math.max(0, session.lastActivityAt - session.startedAt);
+      }
 
-      // エラー行番号と列番号を取得（手動キャプチャの場合は既定値を使用）
-      var lineNo = typeof errorData.lineno === "number" ? errorData.lineno : 0;
-      var colNo = typeof errorData.colno === "number" ? errorData.colno : 0;
+      var ping = {
+        id: this.deviceId,
+        eventId: this._generateEventId(),
+        sessionId: session.id,
+        type: "session",
+        level: "info",
+        message: "Session " + status,
+        timestamp: new Date().toISOString(),
+        appName: this.config.appName,
+        appVersion: this.config.version,
+        dist: this.config.dist,
+        environment: this.config.environment,
+        session: sessionInfo,
+      };
 
-      // 手動キャプチャ時のスタックトレースから行番号・列番号を抽出
-      if (
-        errorType === "manual" &&
-        errorObj instanceof Error &&
-        errorObj.stack
-      ) {
-        var stackLines = errorObj.stack.split("\n");
-        var errorPosition = this._extractErrorPositionFromStack(stackLines);
-        if (errorPosition) {
-          if (errorPosition.lineNo && lineNo === 0) {
-            lineNo = errorPosition.lineNo;
-          }
-          if (errorPosition.colNo && colNo === 0) {
-            colNo = errorPosition.colNo;
-          }
+      // ページ離脱時は非同期の送信を開始せず、キューに追加してsendBeacon/keepaliveで送信する
+      // （ページ離脱時の送信は先に実行されているため、ここで改めて実行する）
+      if (unloading && this.config.flushOnUnload) {
+        this.errorQueue.push(ping);
+        if (this.config.persistQueue) {
+          this._persistItem(ping);
+        }
+        this._flushQueueOnUnload(true);
+        return;
+      }
+
+      this._enqueueError(ping);
+    },
+
+    /**
+     * リリース（version）とdistを検出する
+     * <meta name="release">/<meta name="dist">、ビルド時に埋め込んだグローバル変数、スクリプトURLのクエリ文字列（?release=...&dist=...）の順に探す
+     * @private
+     * @return {Object} 検出したversionとdist（見つからない項目は含まない）
+     */
+    _detectRelease: function () {
+      var sources = [];
+
+      try {
+        if (typeof document !== "undefined" && typeof document.querySelector === "function") {
+          var releaseMeta = document.querySelector('meta[name="release"]');
+          var distMeta = document.querySelector('meta[name="dist"]');
+          sources.push({
+            release: releaseMeta && releaseMeta.getAttribute("content"),
+            dist: distMeta && distMeta.getAttribute("content"),
+          });
+        }
+      } catch (_) {}
+
+      var injected = globalScope[this._releaseGlobalName];
+      if (typeof injected === "string") {
+        sources.push({ release: injected });
+      } else if (injected && typeof injected === "object") {
+        sources.push({ release: injected.release, dist: injected.dist });
+      }
+
+      if (this._scriptSrc) {
+        var query = this._scriptSrc.split("#")[0].split("?")[1] || "";
+        var param = function (name) {
+          var m = query.match(new RegExp("(?:^|&)" + name + "=([^&]*)"));
+          if (!m) return undefined;
+          try {
+            return decodeURIComponent(m[1].replace(/\+/g, " "));
+          } catch (_) {
+            return m[1];
+          }
+        };
+        sources.push({ release: param("release"), dist: param("dist") });
+      }
+
+      var detected = {};
+      for (var i = 0; i < sources.length; i++) {
+        if (!detected.version && typeof sources[i].release === "string" && sources[i].release) {
+          detected.version = sources[i].release;
+        }
+        if (!detected.dist && typeof sources[i].dist === "string" && sources[i].dist) {
+          detected.dist = sources[i].dist;
+        }
+      }
+      return detected;
+    },
+
+    /**
+     * イベントのフィンガープリントをこのリリースで初めて検出したかを判定し、firstSeenInReleaseに付与する
+     * フィンガープリントごとに初めて検出したリリースをlocalStorageに保存する（使えない場合はメモリ上のみ）
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _markFirstSeen: function (errorInfo) {
+      var entries = this._loadFirstSeenEntries();
+      var release = this.config.version;
+      var firstSeenRelease = null;
+
+      for (var i = 0; i < entries.length; i++) {
+        if (entries[i][0] === errorInfo.fingerprint) {
+          firstSeenRelease = entries[i][1];
+          break;
+        }
+      }
+
+      if (firstSeenRelease === null) {
+        firstSeenRelease = release;
+        entries.push([errorInfo.fingerprint, release]);
+        if (entries.length > this._maxFirstSeenEntries) {
+          entries.splice(0, entries.length - this._maxFirstSeenEntries);
+        }
+        try {
+          globalScope.localStorage.setItem(this.config.firstSeenStorageKey, JSON.stringify(entries));
+        } catch (_) {}
+      }
+
+      errorInfo.firstSeenInRelease = firstSeenRelease === release;
+    },
+
+    /**
+     * 保存済みのフィンガープリントと初めて検出したリリースの組を読み込む（初回のみ）
+     * @private
+     * @return {Array} [fingerprint, release]の配列
+     */
+    _loadFirstSeenEntries: function () {
+      if (!this._firstSeenEntries) {
+        var entries = [];
+        try {
+          var stored = JSON.parse(globalScope.localStorage.getItem(this.config.firstSeenStorageKey));
+          if (Array.isArray(stored)) {
+            entries = stored.filter(function (entry) {
+              return Array.isArray(entry) && typeof entry[0] === "string" && typeof entry[1] === "string";
+            });
+          }
+        } catch (_) {}
+        this._firstSeenEntries = entries;
+      }
+      return this._firstSeenEntries;
+    },
+
+    /**
+     * エラー情報をフォーマットする
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Object} フォーマットされたエラー情報
+     */
+    _formatErrorInfo: function (errorData) {
+      var errorType = errorData.type || "unknown";
+      var errorObj = errorData.error || {};
+      var errorMessage = "";
+      var stack = "";
+
+      // エラーメッセージを取得
+      if (typeof errorData.message === "string") {
+        errorMessage = errorData.message;
+      } else if (errorObj instanceof Error) {
+        errorMessage = errorObj.message || "Unknown error";
+      } else if (typeof errorObj === "string") {
+        errorMessage = errorObj;
+      } else {
+        try {
+          errorMessage = JSON.stringify(errorObj);
+        } catch {
+          errorMessage = "Unstringifiable error object";
+        }
+      }
+
+      // スタックトレースを取得
+      var frames = [];
+      if (errorObj instanceof Error && errorObj.stack) {
+        stack = errorObj.stack;
+
+        // 切り詰める前の完全なスタックトレースからフレームを解析
+        frames = this._parseStackFrames(stack);
+
+        // スタックトレースが長すぎる場合は切り詰める
+        if (
+          this.config.maxStackLength > 0 &&
+          stack.length > this.config.maxStackLength
+        ) {
+          stack = stack.substring(0, this.config.maxStackLength) + "...";
+        }
+      }
+
+      // エラー行番号と列番号を取得（手動キャプチャの場合は既定値を使用）
+      var lineNo = typeof errorData.lineno === "number" ? errorData.lineno : 0;
+      var colNo = typeof errorData.colno === "number" ? errorData.colno : 0;
+
+      // 手動キャプチャ時のスタックトレースから行番号・列番号を抽出
+      if (
+        errorType === "manual" &&
+        errorObj instanceof Error &&
+        errorObj.stack
+      ) {
+        var stackLines = errorObj.stack.split("\n");
+        var errorPosition = this._extractErrorPositionFromStack(stackLines);
+        if (errorPosition) {
+          if (errorPosition.lineNo && lineNo === 0) {
+            lineNo = errorPosition.lineNo;
+          }
+          if (errorPosition.colNo && colNo === 0) {
+            colNo = errorPosition.colNo;
+          }
         }
       }
 
       // 現在のタイムスタンプ
       const currentTimestamp = new Date().toISOString();
 
+      // Worker内ではdocumentがなく、location.hrefはWorkerスクリプトのURLになる
+      var currentHref = this._getCurrentHref();
+      var workerType = this._getWorkerType();
+
       // metaオブジェクト（一部のフィールドはトップレベルに移動）
       var meta = {
-        source: errorData.source || window.location.href,
+        source: errorData.source || currentHref,
         lineno: lineNo,
         colno: colNo,
         stack: stack,
-        userAgent: navigator.userAgent,
-        url: window.location.href,
-        referrer: document.referrer,
-        browser: browserInfo,
+        frames: frames,
+        userAgent: typeof navigator !== "undefined" ? navigator.userAgent : undefined,
+        url: currentHref,
+        referrer: typeof document !== "undefined" ? document.referrer : undefined,
+        // ブラウザ情報（browserInfoプラグインが付与）
+        browser: undefined,
         timestamp: currentTimestamp,
+        // Worker内で捕捉した場合のWorker情報
+        ...(workerType ? { worker: this._getWorkerInfo(workerType) } : {}),
+        // setUser/setTag/setContextで設定したスコープ（発生時点のスナップショット）
+        ...this._getScopeData(),
         // オプションの追加情報
         ...(errorData.additionalInfo || {}),
       };
 
       return {
-        id: this._getOrCreateDeviceId(),
+        // デバイスID（deviceIdプラグインが付与）
+        id: undefined,
+        // セッションID（sessionプラグインが付与）
+        sessionId: undefined,
         eventId: this._generateEventId(),
+        fingerprint: this._computeFingerprint(errorMessage, errorType, frames),
+        count: 1,
         message: errorMessage,
-        level: "error",
+        level: this._normalizeLevel(errorData.level, "error"),
         timestamp: currentTimestamp,
         type: errorType,
         appName: this.config.appName,
         appVersion: this.config.version,
+        dist: this.config.dist,
         environment: this.config.environment,
+        // このフィンガープリントをこのリリースで初めて検出したか（releaseプラグインが付与）
+        firstSeenInRelease: undefined,
         meta: meta,
       };
     },
 
     /**
-     * エラーが除外パターンにマッチするかチェック
-     * @param {Object} errorData エラーデータ
+     * イベントに付与するスコープ情報を取得する
+     * タグはトップレベルの予約フィールド(tag)と衝突しないようmeta.tagsに入れる
+     * @private
+     * @return {Object} meta.user, meta.tags, meta.contextsにマージする値（未設定の項目は含まない）
+     */
+    _getScopeData: function () {
+      var scope = this._scope;
+      var data = {};
+      if (scope.user) {
+        data.user = this._deepClone(scope.user);
+      }
+      if (Object.keys(scope.tags).length > 0) {
+        data.tags = this._deepClone(scope.tags);
+      }
+      if (Object.keys(scope.contexts).length > 0) {
+        data.contexts = this._deepClone(scope.contexts);
+      }
+      return data;
+    },
+
+    /**
+     * エラーのフィンガープリントを計算する
+     * 正規化したメッセージ・エラータイプ・上位のアプリのフレームから算出し、
+     * 数値やIDだけが異なる同種のエラーが同じ値になるようにする
+     * @param {String} message エラーメッセージ
+     * @param {String} type エラータイプ
+     * @param {Array} frames スタックフレーム
+     * @private
+     * @return {String} フィンガープリント（16進8桁）
+     */
+    _computeFingerprint: function (message, type, frames) {
+      var parts = [type || "unknown", this._normalizeForFingerprint(message)];
+
+      var inAppCount = 0;
+      for (var i = 0; i < (frames || []).length && inAppCount < 3; i++) {
+        if (frames[i].inApp) {
+          // 行・列番号はデプロイごとに変わるため含めない
+          parts.push(frames[i].function + "@" + this._normalizeForFingerprint(String(frames[i].file).split(/[?#]/)[0]));
+          inAppCount++;
+        }
+      }
+
+      return this._hashString(parts.join("\n"));
+    },
+
+    /**
+     * フィンガープリント用に可変部分（UUID・16進ID・数値）を置き換える
+     * @param {String} str 対象文字列
+     * @private
+     * @return {String} 正規化された文字列
+     */
+    _normalizeForFingerprint: function (str) {
+      return String(str || "")
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>")
+        .replace(/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, "<hex>")
+        .replace(/\d+/g, "<n>")
+        .replace(/\s+/g, " ")
+        .trim();
+    },
+
+    /**
+     * 文字列のハッシュ値を計算する（FNV-1a 32bit）
+     * @param {String} str 対象文字列
+     * @private
+     * @return {String} 16進8桁のハッシュ値
+     */
+    _hashString: function (str) {
+      var hash = 0x811c9dc5;
+      for (var i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul ? Math.imul(hash, 0x01000193) : (hash * 0x01000193) | 0;
+      }
+      return ("0000000" + (hash >>> 0).toString(16)).slice(-8);
+    },
+
+    /**
+     * フィンガープリントごとに重複を集約してからキューに追加する
+     * 最初の1件は即時に送信し、dedupeWindowMs内の重複は件数のみ数えて、
+     * ウィンドウ終了時に最新の1件をcount付きで送信する
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _queueWithDedupe: function (errorInfo) {
+      var fingerprint = errorInfo.fingerprint;
+      if (!(this.config.dedupeWindowMs > 0) || !fingerprint) {
+        this._queueError(errorInfo);
+        return;
+      }
+
+      var entry = this._dedupeEntries[fingerprint];
+      if (entry) {
+        entry.count++;
+        entry.sample = errorInfo;
+        return;
+      }
+
+      this._dedupeEntries[fingerprint] = { count: 0, sample: null, timer: null };
+      this._queueError(errorInfo);
+      this._startDedupeWindow(fingerprint);
+    },
+
+    /**
+     * 重複集約のウィンドウを開始する
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     */
+    _startDedupeWindow: function (fingerprint) {
+      var entry = this._dedupeEntries[fingerprint];
+      entry.timer = setTimeout(
+        function () {
+          var sample = this._takeDedupeSample(fingerprint);
+          if (sample) {
+            this._queueError(sample);
+            // 重複が続いている間はウィンドウを継続して集約する
+            this._startDedupeWindow(fingerprint);
+          } else {
+            delete this._dedupeEntries[fingerprint];
+          }
+        }.bind(this),
+        this.config.dedupeWindowMs
+      );
+    },
+
+    /**
+     * 集約中の重複をcount付きのエラー情報として取り出す
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     * @return {Object|null} 重複がない場合null
+     */
+    _takeDedupeSample: function (fingerprint) {
+      var entry = this._dedupeEntries[fingerprint];
+      // 破棄された重複のみで送信するエラー情報がない場合は送信しない
+      if (!entry || entry.count === 0 || !entry.sample) {
+        return null;
+      }
+
+      var sample = entry.sample;
+      sample.count = entry.count;
+      entry.count = 0;
+      entry.sample = null;
+      return sample;
+    },
+
+    /**
+     * レート制限とセッション上限を確認し、受け付け可能ならトークンを消費する
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     * @return {Boolean} 受け付け可能な場合true
+     */
+    _consumeErrorBudget: function (fingerprint) {
+      var max = this.config.maxErrorsPerSession;
+      if (max > 0 && this._sessionErrorCount >= max) {
+        this._recordDroppedError("sessionCap", fingerprint);
+        this._countDroppedDuplicate(fingerprint);
+        return false;
+      }
+
+      if (!this._takeRateLimitToken(fingerprint)) {
+        this._recordDroppedError("rateLimit", fingerprint);
+        this._countDroppedDuplicate(fingerprint);
+        if (this.config.logToConsole) {
+          this._log("Error throttled");
+        }
+        return false;
+      }
+
+      this._sessionErrorCount++;
+      return true;
+    },
+
+    /**
+     * 重複集約中のフィンガープリントであれば、破棄したエラーもウィンドウ終了時に送信するcountに含める
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     */
+    _countDroppedDuplicate: function (fingerprint) {
+      var entry = fingerprint ? this._dedupeEntries[fingerprint] : null;
+      if (entry) {
+        entry.count++;
+      }
+    },
+
+    /**
+     * フィンガープリントのトークンバケットからトークンを1つ取り出す
+     * throttleTimeごとに1トークン補充され、最大rateLimitBurstまで貯まる
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     * @return {Boolean} トークンを取り出せた場合true
+     */
+    _takeRateLimitToken: function (fingerprint) {
+      var refillMs = this.config.throttleTime;
+      if (!(refillMs > 0)) {
+        return true;
+      }
+
+      var capacity = Math.max(1, this.config.rateLimitBurst || 1);
+      var now = Date.now();
+      var key = fingerprint || "";
+      var bucket = this._rateLimitBuckets[key];
+
+      if (!bucket) {
+        // 一意なエラーが大量に発生してもメモリを使い続けないよう、一定数を超えたら作り直す
+        if (Object.keys(this._rateLimitBuckets).length >= 1000) {
+          this._rateLimitBuckets = {};
+        }
+        bucket = this._rateLimitBuckets[key] = { tokens: capacity, updatedAt: now };
+      } else {
+        bucket.tokens = Math.min(
+          capacity,
+          bucket.tokens + Math.max(0, now - bucket.updatedAt) / refillMs
+        );
+        bucket.updatedAt = now;
+      }
+
+      if (bucket.tokens < 1) {
+        return false;
+      }
+      bucket.tokens -= 1;
+      return true;
+    },
+
+    /**
+     * 破棄したエラーを記録し、セッション上限に達した場合は"budget_exceeded"イベントを予約する
+     * @param {String} reason 破棄理由（"rateLimit" | "sessionCap"）
+     * @param {String} fingerprint フィンガープリント
+     * @private
+     */
+    _recordDroppedError: function (reason, fingerprint) {
+      var dropped = this._droppedErrors;
+      dropped[reason]++;
+      this._countDrop(reason);
+
+      // フィンガープリント別の件数は上位の把握に足りる数だけ保持する
+      if (fingerprint) {
+        if (Object.prototype.hasOwnProperty.call(dropped.byFingerprint, fingerprint)) {
+          dropped.byFingerprint[fingerprint]++;
+        } else if (Object.keys(dropped.byFingerprint).length < 50) {
+          dropped.byFingerprint[fingerprint] = 1;
+        }
+      }
+
+      if (reason !== "sessionCap" || this._budgetReported || this._budgetReportTimer) {
+        return;
+      }
+
+      if (this.config.logToConsole) {
+        this._log(
+          "Error budget exceeded (" + this.config.maxErrorsPerSession + " errors per session), further errors are dropped"
+        );
+      }
+
+      // 上限到達直後の破棄件数も含めるため、少し待ってから1回だけ送信する
+      this._budgetReportTimer = setTimeout(
+        function () {
+          var report = this._takeBudgetReport();
+          if (report) {
+            this._queueError(report);
+          }
+        }.bind(this),
+        this.config.budgetReportDelayMs
+      );
+    },
+
+    /**
+     * 破棄件数をまとめた"budget_exceeded"イベントを作成する（セッション中に1回のみ）
+     * @private
+     * @return {Object|null} 送信済み・未到達・送信無効の場合null
+     */
+    _takeBudgetReport: function () {
+      if (this._budgetReported || !this._budgetReportTimer) {
+        return null;
+      }
+
+      clearTimeout(this._budgetReportTimer);
+      this._budgetReportTimer = null;
+      this._budgetReported = true;
+
+      if (!this._canSendToServer()) {
+        return null;
+      }
+
+      var dropped = this._droppedErrors;
+      var total = dropped.rateLimit + dropped.sessionCap;
+      var errorInfo = this._formatErrorInfo({
+        type: "budget_exceeded",
+        message: "Error budget exceeded: " + total + " errors dropped",
+        additionalInfo: {
+          maxErrorsPerSession: this.config.maxErrorsPerSession,
+          acceptedErrors: this._sessionErrorCount,
+          droppedErrors: total,
+          droppedByRateLimit: dropped.rateLimit,
+          droppedBySessionCap: dropped.sessionCap,
+          droppedByFingerprint: JSON.parse(JSON.stringify(dropped.byFingerprint)),
+        },
+      });
+      errorInfo.level = "warn";
+      return this._applyEventPlugins(errorInfo, { type: "budget_exceeded", message: errorInfo.message });
+    },
+
+    /**
+     * 集約中の重複をすべてキューに移す（ページ離脱時）
+     * @private
+     */
+    _flushDedupeEntries: function () {
+      for (var fingerprint in this._dedupeEntries) {
+        if (!Object.prototype.hasOwnProperty.call(this._dedupeEntries, fingerprint)) continue;
+
+        clearTimeout(this._dedupeEntries[fingerprint].timer);
+        var sample = this._takeDedupeSample(fingerprint);
+        if (sample) {
+          // 送信処理を開始せずにキューへ直接追加し、直後のsendBeaconでまとめて送る
+          this.errorQueue.push(sample);
+        }
+      }
+      this._dedupeEntries = {};
+    },
+
+    /**
+     * エラーが除外パターンにマッチするかチェック
+     * @param {Object} errorData エラーデータ
+     * @private
+     * @return {Boolean} 除外すべきエラーの場合true
+     */
+    _shouldIgnoreError: function (errorData) {
+      var message = errorData.message || "";
+      var source = errorData.source || "";
+
+      // メッセージパターンのチェック
+      if (this.config.ignorePatterns && this.config.ignorePatterns.length > 0) {
+        for (var i = 0; i < this.config.ignorePatterns.length; i++) {
+          var pattern = this.config.ignorePatterns[i];
+          if (this._matchesPattern(message, pattern)) {
+            return true;
+          }
+        }
+      }
+
+      // URLパターンのチェック
+      if (this.config.ignoreUrls && this.config.ignoreUrls.length > 0) {
+        for (var j = 0; j < this.config.ignoreUrls.length; j++) {
+          var urlPattern = this.config.ignoreUrls[j];
+          if (this._matchesPattern(source, urlPattern)) {
+            return true;
+          }
+        }
+      }
+
+      return false;
+    },
+
+    /**
+     * 文字列がパターンにマッチするかチェック
+     * @param {String} str チェック対象の文字列
+     * @param {String|RegExp} pattern パターン（文字列または正規表現）
+     * @private
+     * @return {Boolean} マッチした場合true
+     */
+    _matchesPattern: function (str, pattern) {
+      // strがundefined/nullの場合のみ早期リターン（空文字列""は許容）
+      if (str === undefined || str === null || !pattern) {
+        return false;
+      }
+
+      try {
+        // 正規表現の場合
+        if (pattern instanceof RegExp) {
+          return pattern.test(str);
+        }
+
+        // 文字列の場合は部分一致
+        if (typeof pattern === "string") {
+          return str.indexOf(pattern) !== -1;
+        }
+      } catch (e) {
+        // パターンマッチングに失敗した場合は無視しない
+        return false;
+      }
+
+      return false;
+    },
+
+    /**
+     * スタックトレースから行番号と列番号を抽出する
+     * @param {Array} stackLines スタックトレースの行配列
+     * @private
+     * @return {Object|null} 行番号と列番号を含むオブジェクトまたはnull
+     */
+    _extractErrorPositionFromStack: function (stackLines) {
+      if (!stackLines || stackLines.length === 0) {
+        return null;
+      }
+
+      // V8/SpiderMonkey/JavaScriptCoreいずれの形式でも、行番号を持つ最初のフレームを使用
+      var frames = this._parseStackFrames(stackLines.join("\n"));
+      for (var i = 0; i < frames.length; i++) {
+        if (frames[i].line) {
+          return {
+            file: frames[i].file,
+            lineNo: frames[i].line,
+            colNo: frames[i].column || 0,
+          };
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * スタックトレース文字列をフレームの配列に解析する
+     * @param {String} stack スタックトレース
+     * @private
+     * @return {Array} フレーム（function, file, line, column, inApp）の配列（先頭がエラー発生箇所）
+     */
+    _parseStackFrames: function (stack) {
+      var frames = [];
+      if (typeof stack !== "string" || !stack) {
+        return frames;
+      }
+
+      var limit = (this.config && this.config.maxStackFrames) || 50;
+      var lines = stack.split("\n");
+      for (var i = 0; i < lines.length && frames.length < limit; i++) {
+        var frame = this._parseStackLine(lines[i]);
+        if (frame) {
+          frame.inApp = this._isInAppFrame(frame.file);
+          frames.push(frame);
+        }
+      }
+
+      return frames;
+    },
+
+    /**
+     * スタックトレースの1行を解析する
+     * @param {String} rawLine スタックトレースの行
+     * @private
+     * @return {Object|null} フレームまたはnull（メッセージ行など解析できない場合）
+     */
+    _parseStackLine: function (rawLine) {
+      var line = String(rawLine || "").trim();
+      var fn = "";
+      var location;
+      var match;
+
+      if (line.indexOf("at ") === 0) {
+        // V8 (Chrome, Edge, Node.js)
+        // 例: "at fn (file.js:1:2)", "at file.js:1:2", "at async fn (file.js:1:2)"
+        var body = line.substring(3);
+        if (body.indexOf("async ") === 0) {
+          body = body.substring(6);
+        }
+
+        match = body.match(/^(.*?) \((.*)\)$/);
+        if (match) {
+          fn = match[1];
+          location = match[2];
+        } else {
+          location = body;
+        }
+
+        // evalフレーム: "eval at fn (file.js:1:2), <anonymous>:3:4" → eval呼び出し元の位置を使用
+        if (location.indexOf("eval at ") === 0) {
+          match = location.match(/\(([^()]+:\d+:\d+)\)/);
+          location = match ? match[1] : location;
+        }
+      } else if (line.indexOf("@") !== -1) {
+        // SpiderMonkey (Firefox) / JavaScriptCore (Safari)
+        // 例: "fn@file.js:1:2", "@file.js:1:2", "async*fn@file.js:1:2", "fn@[native code]"
+        var atIndex = line.indexOf("@");
+        fn = line.substring(0, atIndex).replace(/^async\*/, "");
+        location = line.substring(atIndex + 1);
+
+        // evalフレーム: "file.js line 10 > eval:1:2" → eval呼び出し元の位置を使用
+        match = location.match(/^(.*?) line (\d+) > (?:eval|Function)/);
+        if (match) {
+          location = match[1] + ":" + match[2];
+        }
+
+        // メッセージ行に含まれる"@"（メールアドレス等）を誤って解析しない
+        if (!/:\d+(?::\d+)?$/.test(location) && location !== "[native code]") {
+          return null;
+        }
+      } else {
+        return null;
+      }
+
+      var file = location;
+      var lineNo = null;
+      var colNo = null;
+      match = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+      if (match) {
+        file = match[1];
+        lineNo = parseInt(match[2], 10);
+        colNo = match[3] ? parseInt(match[3], 10) : null;
+      }
+
+      return {
+        function: fn || "<anonymous>",
+        file: file,
+        line: lineNo,
+        column: colNo,
+      };
+    },
+
+    /**
+     * フレームのファイルがアプリ自身のコードかどうか判定する
+     * @param {String} file フレームのファイルURL
+     * @private
+     * @return {Boolean} アプリ自身のコードの場合true
+     */
+    _isInAppFrame: function (file) {
+      // ネイティブコード・拡張機能・evalの匿名コードはアプリのコードではない
+      if (!file || !/^(https?:|file:|webpack:|\/)/.test(file)) {
+        return false;
+      }
+      if (/\/node_modules\//.test(file)) {
+        return false;
+      }
+
+      var config = this.config || {};
+      if (config.ignoreUrls) {
+        for (var i = 0; i < config.ignoreUrls.length; i++) {
+          if (this._matchesPattern(file, config.ignoreUrls[i])) {
+            return false;
+          }
+        }
+      }
+
+      if (config.inAppUrls && config.inAppUrls.length > 0) {
+        for (var j = 0; j < config.inAppUrls.length; j++) {
+          if (this._matchesPattern(file, config.inAppUrls[j])) {
+            return true;
+          }
+        }
+        return false;
+      }
+
+      return true;
+    },
+
+    /**
+     * アプリのフレームをソースマップで元のファイル・行・列・関数名に解決する
+     * @param {Array} frames スタックフレーム
+     * @private
+     * @return {Promise} 解決済みフレームの配列を返すPromise（失敗時は元のフレーム）
+     */
+    _resolveSourceMapFrames: function (frames) {
+      var self = this;
+      if (!Array.isArray(frames) || frames.length === 0 || typeof Promise === "undefined") {
+        return Promise.resolve(frames);
+      }
+
+      var resolved = Promise.all(
+        frames.map(function (frame) {
+          if (!frame || !frame.inApp || !frame.line || !/^https?:/.test(frame.file)) {
+            return frame;
+          }
+          return self
+            ._loadSourceMap(frame.file)
+            .then(function (sourceMap) {
+              return sourceMap ? self._applySourceMap(sourceMap, frame) : frame;
+            })
+            .catch(function () {
+              return frame;
+            });
+        })
+      );
+
+      // ソースマップの取得が遅い場合でも送信を止めない
+      return new Promise(function (resolve) {
+        var timer = setTimeout(function () {
+          resolve(frames);
+        }, self.config.sourceMapTimeout);
+
+        resolved.then(function (resolvedFrames) {
+          clearTimeout(timer);
+          resolve(resolvedFrames);
+        });
+      });
+    },
+
+    /**
+     * スクリプトのソースマップを取得・解析する（スクリプトごとにキャッシュ）
+     * @param {String} scriptUrl スクリプトのURL
+     * @private
+     * @return {Promise} 解析済みソースマップ（取得できない場合null）を返すPromise
+     */
+    _loadSourceMap: function (scriptUrl) {
+      var self = this;
+      if (Object.prototype.hasOwnProperty.call(this._sourceMapCache, scriptUrl)) {
+        return this._sourceMapCache[scriptUrl];
+      }
+
+      var promise = this._fetchText(scriptUrl)
+        .then(function (script) {
+          // 複数ある場合は最後のsourceMappingURLを使用
+          var match;
+          var lastMatch = null;
+          var pattern = /\/\/[#@]\s*sourceMappingURL=(\S+)/g;
+          while ((match = pattern.exec(script)) !== null) {
+            lastMatch = match[1];
+          }
+          if (!lastMatch) {
+            return null;
+          }
+
+          // インラインのソースマップ（data URI）
+          var inline = lastMatch.match(/^data:application\/json[^,]*?(;base64)?,(.*)$/);
+          if (inline) {
+            var json = inline[1] ? atob(inline[2]) : decodeURIComponent(inline[2]);
+            return self._parseSourceMap(JSON.parse(json), scriptUrl);
+          }
+
+          var mapUrl = self._resolveUrl(lastMatch, scriptUrl);
+          return self._fetchText(mapUrl).then(function (text) {
+            return self._parseSourceMap(JSON.parse(text), mapUrl);
+          });
+        })
+        .catch(function (loadError) {
+          if (!self.config.disableSourceMapWarning) {
+            self._log("Source map could not be loaded for", scriptUrl, loadError);
+          }
+          return null;
+        });
+
+      this._sourceMapCache[scriptUrl] = promise;
+      return promise;
+    },
+
+    /**
+     * URLのテキストを取得する（ライブラリ自身のリクエストとして計装の対象外）
+     * @param {String} url 取得するURL
+     * @private
+     * @return {Promise} レスポンス本文を返すPromise
+     */
+    _fetchText: function (url) {
+      ClientErrorCapture._internalRequest = true;
+      try {
+        if (typeof globalScope.fetch === "function") {
+          return globalScope.fetch(url, { credentials: "same-origin" }).then(function (response) {
+            if (!response.ok) {
+              throw new Error("HTTP error: " + response.status);
+            }
+            return response.text();
+          });
+        }
+
+        return new Promise(function (resolve, reject) {
+          var xhr = new XMLHttpRequest();
+          xhr.open("GET", url, true);
+          xhr.onload = function () {
+            if (xhr.status >= 200 && xhr.status < 300) {
+              resolve(xhr.responseText);
+            } else {
+              reject(new Error("HTTP error: " + xhr.status));
+            }
+          };
+          xhr.onerror = function () {
+            reject(new Error("Network error occurred"));
+          };
+          xhr.send();
+        });
+      } finally {
+        ClientErrorCapture._internalRequest = false;
+      }
+    },
+
+    /**
+     * 相対URLを基準URLに対して解決する
+     * @param {String} url 相対URL
+     * @param {String} base 基準URL
+     * @private
+     * @return {String} 絶対URL
+     */
+    _resolveUrl: function (url, base) {
+      try {
+        return new URL(url, base).href;
+      } catch (_) {
+        return url;
+      }
+    },
+
+    /**
+     * ソースマップ（v3）を解析する
+     * @param {Object} rawMap ソースマップのJSON
+     * @param {String} mapUrl ソースマップのURL（sourcesの解決に使用）
+     * @private
+     * @return {Object|null} 解析済みソースマップ（sources, names, lines）
+     */
+    _parseSourceMap: function (rawMap, mapUrl) {
+      if (!rawMap || typeof rawMap.mappings !== "string") {
+        // index map（sections形式）は非対応
+        return null;
+      }
+
+      var sourceRoot = rawMap.sourceRoot || "";
+      if (sourceRoot && sourceRoot.charAt(sourceRoot.length - 1) !== "/") {
+        sourceRoot += "/";
+      }
+
+      var self = this;
+      return {
+        sources: (rawMap.sources || []).map(function (source) {
+          return self._resolveUrl(sourceRoot + source, mapUrl);
+        }),
+        names: rawMap.names || [],
+        lines: this._decodeSourceMapMappings(rawMap.mappings),
+      };
+    },
+
+    /**
+     * mappings文字列を行ごとのセグメント配列にデコードする
+     * @param {String} mappings ソースマップのmappings
+     * @private
+     * @return {Array} 行ごとの[生成列, ソース番号, 元の行, 元の列, 名前番号]の配列
+     */
+    _decodeSourceMapMappings: function (mappings) {
+      var lines = [];
+      // 生成列以外の値は行をまたいで累積する
+      var sourceIndex = 0;
+      var originalLine = 0;
+      var originalColumn = 0;
+      var nameIndex = 0;
+
+      var lineStrings = mappings.split(";");
+      for (var i = 0; i < lineStrings.length; i++) {
+        var segments = [];
+        var generatedColumn = 0;
+        var segmentStrings = lineStrings[i].split(",");
+
+        for (var j = 0; j < segmentStrings.length; j++) {
+          if (!segmentStrings[j]) continue;
+
+          var values = this._decodeVlq(segmentStrings[j]);
+          generatedColumn += values[0];
+          var segment = [generatedColumn];
+          if (values.length >= 4) {
+            sourceIndex += values[1];
+            originalLine += values[2];
+            originalColumn += values[3];
+            segment.push(sourceIndex, originalLine, originalColumn);
+            if (values.length >= 5) {
+              nameIndex += values[4];
+              segment.push(nameIndex);
+            }
+          }
+          segments.push(segment);
+        }
+
+        segments.sort(function (a, b) {
+          return a[0] - b[0];
+        });
+        lines.push(segments);
+      }
+
+      return lines;
+    },
+
+    /**
+     * Base64 VLQをデコードする
+     * @param {String} str VLQ文字列（1セグメント分）
+     * @private
+     * @return {Array} デコードされた数値の配列
+     */
+    _decodeVlq: function (str) {
+      var chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+      var values = [];
+      var shift = 0;
+      var value = 0;
+
+      for (var i = 0; i < str.length; i++) {
+        var digit = chars.indexOf(str.charAt(i));
+        if (digit === -1) {
+          throw new Error("Invalid VLQ character: " + str.charAt(i));
+        }
+
+        // 下位5ビットが値、6ビット目が継続フラグ
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          // 最下位ビットが符号
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          shift = 0;
+          value = 0;
+        }
+      }
+
+      return values;
+    },
+
+    /**
+     * 解析済みソースマップでフレームを元の位置に書き換える
+     * @param {Object} sourceMap 解析済みソースマップ
+     * @param {Object} frame スタックフレーム（line, columnは1始まり）
+     * @private
+     * @return {Object} 書き換えたフレーム（対応がない場合は元のフレーム）
+     */
+    _applySourceMap: function (sourceMap, frame) {
+      var segments = sourceMap.lines[frame.line - 1];
+      if (!segments || segments.length === 0) {
+        return frame;
+      }
+
+      // 生成列がフレームの列以下となる最後のセグメントを二分探索
+      var column = (frame.column || 1) - 1;
+      var low = 0;
+      var high = segments.length - 1;
+      var found = null;
+      while (low <= high) {
+        var mid = (low + high) >> 1;
+        if (segments[mid][0] <= column) {
+          found = segments[mid];
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      if (!found || found.length < 4) {
+        return frame;
+      }
+
+      return {
+        function: found.length >= 5 ? sourceMap.names[found[4]] : frame.function,
+        file: sourceMap.sources[found[1]] || frame.file,
+        line: found[2] + 1,
+        column: found[3] + 1,
+        inApp: frame.inApp,
+      };
+    },
+
+    /**
+     * 計装（ブレッドクラムの自動記録、consoleの捕捉、ページ離脱時の送信）をインストールする
+     * @private
+     */
+    _installInstrumentation: function () {
+      // 二重ラップを防ぐため、既存の計装は一度解除する
+      this._uninstallInstrumentation();
+
+      // DOM・ページ遷移に依存する計装はWorker内では行わない
+      var isPage = !this._getWorkerType();
+
+      if (this.config.flushOnUnload && isPage) {
+        this._instrumentUnloadFlush();
+      }
+
+      if (this.config.persistQueue) {
+        // オンライン復帰時に保留中・永続化済みのエラーを再送
+        this._listen(globalScope, "online", this._replayPersistedQueue.bind(this), false, this._instrumentationRestorers);
+      }
+
+      var types = this.config.breadcrumbs ? this.config.breadcrumbTypes || [] : [];
+      try {
+        if (this.config.captureResourceErrors && isPage) this._instrumentResourceErrors();
+        if (types.indexOf("click") !== -1 && isPage) this._instrumentClickBreadcrumbs();
+        if (types.indexOf("navigation") !== -1 && isPage) this._instrumentNavigationBreadcrumbs();
+        if (types.indexOf("http") !== -1 || this.config.captureHttpErrors) this._instrumentHttp();
+        if (types.indexOf("console") !== -1 || this.config.captureConsole) this._instrumentConsole();
+      } catch (instrumentError) {
+        if (this.config.logToConsole) {
+          this._log("Failed to install instrumentation:", instrumentError);
+        }
+      }
+    },
+
+    /**
+     * 計装を解除し、ラップしたメソッドを元に戻す
+     * @private
+     */
+    _uninstallInstrumentation: function () {
+      var restorers = this._instrumentationRestorers;
+      this._instrumentationRestorers = [];
+      for (var i = restorers.length - 1; i >= 0; i--) {
+        try {
+          restorers[i]();
+        } catch (_) {}
+      }
+    },
+
+    /**
+     * オブジェクトのメソッドをラップし、解除用の関数を登録する
+     * @param {Object} target ラップ対象のオブジェクト
+     * @param {String} name メソッド名
+     * @param {Function} createWrapper 元のメソッドを受け取りラッパーを返す関数
+     * @param {Array} restorers 解除用関数の登録先
+     * @private
+     * @return {Boolean} ラップできた場合true
+     */
+    _wrapMethod: function (target, name, createWrapper, restorers) {
+      if (!target || typeof target[name] !== "function") {
+        return false;
+      }
+
+      var original = target[name];
+      var wrapped = createWrapper(original);
+      target[name] = wrapped;
+
+      restorers.push(function () {
+        // 後から別のライブラリがラップしている場合は上書きしない
+        if (target[name] === wrapped) {
+          target[name] = original;
+        }
+      });
+      return true;
+    },
+
+    /**
+     * イベントリスナーを登録し、解除用の関数を登録する
+     * @param {Object} target 登録対象（window, document等）
+     * @param {String} type イベント名
+     * @param {Function} listener リスナー
+     * @param {Boolean} capture キャプチャフェーズで登録するかどうか
+     * @param {Array} restorers 解除用関数の登録先
+     * @private
+     */
+    _listen: function (target, type, listener, capture, restorers) {
+      if (!target || typeof target.addEventListener !== "function") {
+        return;
+      }
+
+      target.addEventListener(type, listener, capture);
+      restorers.push(function () {
+        if (typeof target.removeEventListener === "function") {
+          target.removeEventListener(type, listener, capture);
+        }
+      });
+    },
+
+    /**
+     * ページ離脱時に未送信のエラーを送信するリスナーを登録する
+     * @private
+     */
+    _instrumentUnloadFlush: function () {
+      var self = this;
+
+      this._listen(
+        window,
+        "pagehide",
+        function () {
+          self._flushQueueOnUnload(true);
+        },
+        false,
+        this._instrumentationRestorers
+      );
+
+      if (typeof document !== "undefined") {
+        this._listen(
+          document,
+          "visibilitychange",
+          function () {
+            // タブの切り替え等でも発生し、送信中のリクエストはキャンセルされないため、キューのみ送信する
+            if (document.visibilityState === "hidden") {
+              self._flushQueueOnUnload(false);
+            }
+          },
+          false,
+          this._instrumentationRestorers
+        );
+      }
+    },
+
+    /**
+     * クリック操作をブレッドクラムとして記録する
+     * @private
+     */
+    _instrumentClickBreadcrumbs: function () {
+      var self = this;
+      if (typeof document === "undefined") return;
+
+      this._listen(
+        document,
+        "click",
+        function (event) {
+          var target = event && event.target;
+          if (!target) return;
+          self._pushBreadcrumb({
+            category: "ui.click",
+            level: "info",
+            message: self._getElementSelector(target),
+          });
+        },
+        true,
+        this._instrumentationRestorers
+      );
+    },
+
+    /**
+     * img/script/link等のリソース読み込みエラーを捕捉する
+     * リソースのerrorイベントはバブリングせずwindow.onerrorも呼ばれないため、キャプチャフェーズで受け取る
+     * @private
+     */
+    _instrumentResourceErrors: function () {
+      var self = this;
+
+      this._listen(
+        window,
+        "error",
+        function (event) {
+          var target = event && event.target;
+          // スクリプトの実行時エラー（targetがwindow）はonerrorで処理する
+          if (!target || target === window || !target.tagName) return;
+
+          var tagName = String(target.tagName).toLowerCase();
+          if (self._resourceTagNames.indexOf(tagName) === -1) return;
+
+          self._handleResourceError(target, tagName);
+        },
+        true,
+        this._instrumentationRestorers
+      );
+    },
+
+    /**
+     * リソース読み込みエラーをtype: "resource"のエラーとして処理する
+     * @param {Element} element 読み込みに失敗した要素
+     * @param {String} tagName 小文字のタグ名
+     * @private
+     */
+    _handleResourceError: function (element, tagName) {
+      var url = element.currentSrc || element.src || element.href || element.data || "";
+      if (typeof url !== "string") {
+        // SVGのhref（SVGAnimatedString）など
+        url = url && url.baseVal ? String(url.baseVal) : "";
+      }
+
+      // 複数クライアントがある場合、リソースのURLで振り分ける
+      if (!this._isGlobalErrorOwner({ source: url })) {
+        return;
+      }
+
+      var html = "";
+      try {
+        html = String(element.outerHTML || "");
+      } catch (_) {
+        // outerHTMLを取得できない要素は省略
+      }
+      if (html.length > 300) {
+        html = html.substring(0, 300) + "...";
+      }
+
+      this._handleError({
+        type: "resource",
+        message: "Failed to load <" + tagName + ">: " + (url || "(unknown)"),
+        source: url,
+        additionalInfo: {
+          resource: {
+            tagName: tagName,
+            url: url,
+            outerHTML: html,
+          },
+        },
+      });
+    },
+
+    /**
+     * ページ遷移・履歴変更をブレッドクラムとして記録する
+     * @private
+     */
+    _instrumentNavigationBreadcrumbs: function () {
+      var self = this;
+      var lastHref = this._getCurrentHref();
+
+      var recordNavigation = function (to) {
+        var from = lastHref;
+        var next = to || self._getCurrentHref();
+        if (next === from) return;
+        lastHref = next;
+        self._pushBreadcrumb({
+          category: "navigation",
+          level: "info",
+          message: next,
+          data: { from: from, to: next },
+        });
+      };
+
+      var wrapHistory = function (original) {
+        return function (state, title, url) {
+          var result = original.apply(this, arguments);
+          try {
+            recordNavigation(url ? String(url) : undefined);
+          } catch (_) {}
+          return result;
+        };
+      };
+
+      var history = window.history;
+      this._wrapMethod(history, "pushState", wrapHistory, this._instrumentationRestorers);
+      this._wrapMethod(history, "replaceState", wrapHistory, this._instrumentationRestorers);
+
+      var onLocationChange = function () {
+        recordNavigation();
+      };
+      this._listen(window, "popstate", onLocationChange, false, this._instrumentationRestorers);
+      this._listen(window, "hashchange", onLocationChange, false, this._instrumentationRestorers);
+    },
+
+    /**
+     * fetch/XHRをラップし、ブレッドクラムの記録と通信エラーの捕捉を行う
+     * @private
+     */
+    _instrumentHttp: function () {
+      var self = this;
+      var types = this.config.breadcrumbs ? this.config.breadcrumbTypes || [] : [];
+      var recordBreadcrumbs = types.indexOf("http") !== -1;
+      var captureErrors = !!this.config.captureHttpErrors;
+
+      var complete = function (category, request, status, startTime, failure, callSite) {
+        var duration = Date.now() - startTime;
+
+        if (recordBreadcrumbs) {
+          self._pushBreadcrumb({
+            category: category,
+            level: status === 0 || status >= 400 ? "error" : "info",
+            message: request.method + " " + request.url,
+            data: {
+              method: request.method,
+              url: request.url,
+              status: status,
+              duration: duration,
+            },
+          });
+        }
+
+        if (captureErrors) {
+          self._handleHttpError({
+            method: request.method,
+            url: request.url,
+            status: status,
+            duration: duration,
+            failure: failure,
+          }, callSite);
+        }
+      };
+
+      // fetch
+      this._wrapMethod(
+        globalScope,
+        "fetch",
+        function (original) {
+          return function (input, init) {
+            var request = {
+              method: String((init && init.method) || (input && input.method) || "GET").toUpperCase(),
+              url: typeof input === "string" ? input : (input && input.url) || String(input),
+            };
+            var startTime = Date.now();
+            var promise = original.apply(globalScope, arguments);
+
+            // ライブラリ自身の送信は記録しない（送信エラーの捕捉によるループを防ぐ）
+            if (self._isOwnRequest(request.url)) {
+              return promise;
+            }
+
+            // 複数クライアントの振り分けに使う呼び出し元のスタック
+            var callSite = captureErrors ? new Error() : null;
+            return promise.then(
+              function (response) {
+                complete("fetch", request, response ? response.status : 0, startTime, null, callSite);
+                return response;
+              },
+              function (fetchError) {
+                var name = fetchError && fetchError.name;
+                var failure = name === "TimeoutError" ? "timeout" : name === "AbortError" ? "abort" : "network_error";
+                complete("fetch", request, 0, startTime, failure, callSite);
+                throw fetchError;
+              }
+            );
+          };
+        },
+        this._instrumentationRestorers
+      );
+
+      // XMLHttpRequest
+      if (typeof XMLHttpRequest === "undefined" || !XMLHttpRequest.prototype) {
+        return;
+      }
+      var proto = XMLHttpRequest.prototype;
+
+      this._wrapMethod(
+        proto,
+        "open",
+        function (original) {
+          return function (method, url) {
+            this.__cecRequest = {
+              method: String(method || "GET").toUpperCase(),
+              url: String(url),
+            };
+            return original.apply(this, arguments);
+          };
+        },
+        this._instrumentationRestorers
+      );
+
+      this._wrapMethod(
+        proto,
+        "send",
+        function (original) {
+          return function () {
+            var xhr = this;
+            var request = xhr.__cecRequest;
+            if (request && !self._isOwnRequest(request.url) && typeof xhr.addEventListener === "function") {
+              var startTime = Date.now();
+              var callSite = captureErrors ? new Error() : null;
+              var failure = null;
+              xhr.addEventListener("error", function () {
+                failure = "network_error";
+              });
+              xhr.addEventListener("timeout", function () {
+                failure = "timeout";
+              });
+              xhr.addEventListener("abort", function () {
+                failure = "abort";
+              });
+              xhr.addEventListener("loadend", function () {
+                complete("xhr", request, xhr.status, startTime, failure, callSite);
+              });
+            }
+            return original.apply(this, arguments);
+          };
+        },
+        this._instrumentationRestorers
+      );
+    },
+
+    /**
+     * 失敗した通信をtype: "http"のエラーとして処理する
+     * アプリによる中断（abort）は報告しない
+     * @param {Object} request 通信情報（method, url, status, duration, failure）
+     * @param {Error|null} callSite 通信を開始した箇所のスタック（複数クライアントの振り分け用）
+     * @private
+     */
+    _handleHttpError: function (request, callSite) {
+      var failure = request.failure;
+      if (failure === "abort") {
+        return;
+      }
+      if (!failure && !(request.status >= this.config.httpErrorStatusMin)) {
+        return;
+      }
+      if (!this._isGlobalErrorOwner({ error: callSite || undefined })) {
+        return;
+      }
+
+      var url = this._sanitizeRequestUrl(request.url);
+      var label =
+        failure === "timeout" ? "HTTP timeout"
+          : failure === "network_error" ? "HTTP network error"
+            : "HTTP " + request.status;
+
+      this._handleError({
+        type: "http",
+        message: label + ": " + request.method + " " + url,
+        source: url,
+        additionalInfo: {
+          http: {
+            method: request.method,
+            url: url,
+            status: request.status,
+            duration: request.duration,
+            failure: failure || undefined,
+          },
+        },
+      });
+    },
+
+    /**
+     * 通信先URLから認証情報・クエリ・フラグメントを取り除く
+     * @param {String} url URL
+     * @private
+     * @return {String} サニタイズ済みのURL
+     */
+    _sanitizeRequestUrl: function (url) {
+      return String(url)
+        .replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/?#@]*@/i, "$1")
+        .split(/[?#]/)[0];
+    },
+
+    /**
+     * consoleをラップし、ブレッドクラムの記録とエラーとしての捕捉を行う
+     * @private
+     */
+    _instrumentConsole: function () {
+      var self = this;
+      if (typeof console === "undefined") return;
+
+      var types = this.config.breadcrumbs ? this.config.breadcrumbTypes || [] : [];
+      var recordBreadcrumbs = types.indexOf("console") !== -1;
+      var captureLevels = this.config.captureConsole ? this.config.captureConsoleLevels || [] : [];
+      var levels = this._consoleLevels;
+
+      Object.keys(levels).forEach(function (method) {
+        var capture = captureLevels.indexOf(method) !== -1;
+        if (!recordBreadcrumbs && !capture) return;
+
+        self._wrapMethod(
+          console,
+          method,
+          function (original) {
+            return function () {
+              // ライブラリ自身の出力（_handleError内のconsole.error等）は対象外
+              if (!ClientErrorCapture._internalConsoleCall) {
+                try {
+                  if (recordBreadcrumbs) {
+                    self._pushBreadcrumb({
+                      category: "console",
+                      level: levels[method],
+                      message: self._serializeConsoleArgs(arguments),
+                    });
+                  }
+                  if (capture && self.config.enabled) {
+                    self._handleConsoleCall(method, arguments);
+                  }
+                } catch (_) {}
+              }
+              return original.apply(this, arguments);
+            };
+          },
+          self._instrumentationRestorers
+        );
+      });
+    },
+
+    /**
+     * console呼び出しをエラーとして処理する
+     * @param {String} method consoleメソッド名（error, warn等）
+     * @param {Arguments|Array} args console引数
+     * @private
+     */
+    _handleConsoleCall: function (method, args) {
+      // 引数にErrorオブジェクトがあればスタックトレースに利用する
+      var errorObj;
+      for (var i = 0; i < args.length; i++) {
+        if (args[i] instanceof Error) {
+          errorObj = args[i];
+          break;
+        }
+      }
+
+      // 複数クライアントがある場合、呼び出し元のスタックで担当するクライアントのみが処理する
+      if (!this._isGlobalErrorOwner({ error: errorObj || new Error() })) {
+        return;
+      }
+
+      // _handleError内部のconsole出力で再帰しないようにフラグを立てる
+      var wasInternal = ClientErrorCapture._internalConsoleCall;
+      ClientErrorCapture._internalConsoleCall = true;
+      try {
+        this._handleError({
+          type: "console",
+          level: this._consoleLevels[method],
+          message: this._serializeConsoleArgs(args),
+          error: errorObj,
+          additionalInfo: { consoleMethod: method },
+        });
+      } finally {
+        ClientErrorCapture._internalConsoleCall = wasInternal;
+      }
+    },
+
+    /**
+     * console引数を安全に文字列化する
+     * @param {Arguments|Array} args console引数
+     * @private
+     * @return {String} 文字列化された引数
+     */
+    _serializeConsoleArgs: function (args) {
+      var parts = [];
+      for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (typeof arg === "string") {
+          parts.push(arg);
+        } else if (arg instanceof Error) {
+          parts.push((arg.name || "Error") + ": " + arg.message);
+        } else {
+          try {
+            parts.push(JSON.stringify(arg));
+          } catch (_) {
+            parts.push(String(arg));
+          }
+        }
+      }
+
+      var message = parts.join(" ");
+      // 巨大なオブジェクトで送信サイズが膨らまないよう切り詰める
+      return message.length > 500 ? message.substring(0, 500) + "..." : message;
+    },
+
+    /**
+     * 要素のCSSセレクタパスを取得する（例: "div#app > ul.list > li"）
+     * @param {Element} element 対象要素
+     * @private
+     * @return {String} セレクタパス
+     */
+    _getElementSelector: function (element) {
+      var parts = [];
+      var current = element;
+
+      while (current && current.nodeType === 1 && parts.length < 5) {
+        var part = String(current.tagName || "").toLowerCase();
+        if (current.id) {
+          // IDがあればそれ以上遡らない
+          parts.unshift(part + "#" + current.id);
+          break;
+        }
+        var className = typeof current.className === "string" ? current.className.trim() : "";
+        if (className) {
+          part += "." + className.split(/\s+/).slice(0, 2).join(".");
+        }
+        parts.unshift(part);
+        current = current.parentNode;
+      }
+
+      return parts.join(" > ");
+    },
+
+    /**
+     * 現在のURLを取得する（取得できない環境では空文字）
+     * @private
+     * @return {String} 現在のURL
+     */
+    _getCurrentHref: function () {
+      try {
+        return (globalScope.location && globalScope.location.href) || "";
+      } catch (_) {
+        return "";
+      }
+    },
+
+    /**
+     * 実行中のWorkerの種類を取得する
+     * @private
+     * @return {String|null} "dedicated" | "shared" | "service"（ページ上ではnull）
+     */
+    _getWorkerType: function () {
+      // Worker内ではグローバルスコープ自身がこれらのコンストラクタを持つ
+      var isInstanceOf = function (name) {
+        return typeof globalScope[name] === "function" && globalScope instanceof globalScope[name];
+      };
+
+      if (!isInstanceOf("WorkerGlobalScope")) {
+        return null;
+      }
+      if (isInstanceOf("ServiceWorkerGlobalScope")) {
+        return "service";
+      }
+      if (isInstanceOf("SharedWorkerGlobalScope")) {
+        return "shared";
+      }
+      return "dedicated";
+    },
+
+    /**
+     * meta.workerに付与するWorker情報を取得する
+     * @param {String} workerType Workerの種類
+     * @private
+     * @return {Object} Worker情報
+     */
+    _getWorkerInfo: function (workerType) {
+      var info = { type: workerType };
+      if (globalScope.name) {
+        info.name = globalScope.name;
+      }
+      if (workerType === "service" && globalScope.registration) {
+        info.scope = globalScope.registration.scope;
+      }
+      return info;
+    },
+
+    /**
+     * エラーをページのクライアントに転送すべきかどうか
+     * SharedWorkerは転送先のページを特定できないため、Worker内から直接送信する
+     * @private
+     * @return {Boolean} 転送する場合true
+     */
+    _shouldForwardToPage: function () {
+      if (this.config.workerDelivery !== "postMessage") {
+        return false;
+      }
+      var workerType = this._getWorkerType();
+      return workerType === "dedicated" || workerType === "service";
+    },
+
+    /**
+     * エラー情報をpostMessageでページのクライアントに転送する
+     * Service Workerで転送先のページがない場合は、送信が有効であればWorker内から送信する
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _forwardToPage: function (errorInfo) {
+      // 構造化クローンできない値（関数など）を含まないようJSONで複製する
+      var message = { type: this._workerMessageType, event: this._deepClone(errorInfo) };
+
+      try {
+        if (this._getWorkerType() === "service") {
+          var self = this;
+          globalScope.clients
+            .matchAll({ type: "window", includeUncontrolled: true })
+            .then(function (windowClients) {
+              if (windowClients.length > 0) {
+                windowClients[0].postMessage(message);
+              } else if (self._canSendToServer()) {
+                self._queueWithDedupe(errorInfo);
+              }
+            })
+            .catch(function (matchError) {
+              self._logError("Failed to forward error to page:", matchError);
+            });
+          return;
+        }
+
+        globalScope.postMessage(message);
+      } catch (postError) {
+        this._logError("Failed to forward error to page:", postError);
+      }
+    },
+
+    /**
+     * Workerから転送されたエラー情報を処理する
+     * @param {Object} errorInfo Worker内でフォーマットされたエラー情報
+     * @private
+     */
+    _receiveWorkerEvent: function (errorInfo) {
+      if (!this.initialized || !this.config.enabled || !errorInfo || typeof errorInfo !== "object") {
+        return;
+      }
+
+      try {
+        // デバイスID・セッションIDはページ側の値に揃え、転送元のページURLを付与する
+        errorInfo.id = this._getOrCreateDeviceId();
+        if (this._session) {
+          this._recordSessionEvent(errorInfo);
+        }
+        // Worker内ではlocalStorageが使えないため、初めて検出したリリースはページ側で判定する
+        if (errorInfo.firstSeenInRelease !== undefined && errorInfo.fingerprint) {
+          this._markFirstSeen(errorInfo);
+        }
+        errorInfo.meta = errorInfo.meta || {};
+        errorInfo.meta.pageUrl = this._getCurrentHref();
+
+        // コールバック・変換・beforeSend・レート制限はWorker内で適用済みのため、送信キューに直接渡す
+        if (this._canSendToServer()) {
+          this._deliverErrorInfo(errorInfo);
+        }
+      } catch (receiveError) {
+        this._logError("Error in ClientErrorCapture handler:", receiveError);
+      }
+    },
+
+    /**
+     * ライブラリ自身のログ送信リクエストかどうか
+     * @param {String} url リクエストURL
+     * @private
+     * @return {Boolean} ログサーバー宛ての場合true
+     */
+    _isOwnRequest: function (url) {
+      if (ClientErrorCapture._internalRequest) {
+        return true;
+      }
+      if (typeof url !== "string") {
+        return false;
+      }
+      // 相対URL・絶対URLのどちらで指定されていても比較できるよう、ページのURLを基準に解決する
+      var base = this._getCurrentHref();
+      var requestUrl = this._resolveUrl(url, base);
+      var self = this;
+      // 他のクライアントのログ送信もブレッドクラムの対象外とする
+      return clients.concat(this).some(function (client) {
+        var logServerUrl = client.config && client.config.logServerUrl;
+        return !!logServerUrl && requestUrl.indexOf(self._resolveUrl(logServerUrl, base)) === 0;
+      });
+    },
+
+    /**
+     * ブレッドクラムをリングバッファに追加する
+     * @param {Object} breadcrumb ブレッドクラム
+     * @private
+     */
+    _pushBreadcrumb: function (breadcrumb) {
+      if (!this.config || !this.config.breadcrumbs) {
+        return;
+      }
+
+      var capacity = Math.max(0, parseInt(this.config.maxBreadcrumbs, 10) || 0);
+      if (capacity === 0) {
+        return;
+      }
+
+      // 最大件数が変更された場合はバッファを作り直す（新しい順に保持）
+      if (this._breadcrumbBuffer.length !== capacity) {
+        var kept = this._getBreadcrumbs().slice(-capacity);
+        this._breadcrumbBuffer = new Array(capacity);
+        this._breadcrumbHead = kept.length % capacity;
+        this._breadcrumbSize = kept.length;
+        for (var i = 0; i < kept.length; i++) {
+          this._breadcrumbBuffer[i] = kept[i];
+        }
+      }
+
+      this._breadcrumbBuffer[this._breadcrumbHead] = {
+        timestamp: breadcrumb.timestamp || new Date().toISOString(),
+        category: breadcrumb.category || "manual",
+        level: breadcrumb.level || "info",
+        message: breadcrumb.message !== undefined ? String(breadcrumb.message) : "",
+        data: breadcrumb.data,
+      };
+      this._breadcrumbHead = (this._breadcrumbHead + 1) % capacity;
+      if (this._breadcrumbSize < capacity) {
+        this._breadcrumbSize++;
+      }
+    },
+
+    /**
+     * 記録済みのブレッドクラムを古い順に取得する
+     * @private
+     * @return {Array} ブレッドクラムの配列
+     */
+    _getBreadcrumbs: function () {
+      var buffer = this._breadcrumbBuffer;
+      var capacity = buffer.length;
+      var result = [];
+      if (capacity === 0) {
+        return result;
+      }
+
+      var start = (this._breadcrumbHead - this._breadcrumbSize + capacity) % capacity;
+      for (var i = 0; i < this._breadcrumbSize; i++) {
+        result.push(buffer[(start + i) % capacity]);
+      }
+      return result;
+    },
+
+    /**
+     * エラーをキューに追加
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _queueError: function (errorInfo) {
+      // ソースマップ解決が有効な場合は、解決後にキューへ追加
+      if (this.config.resolveSourceMaps && errorInfo.meta && Array.isArray(errorInfo.meta.frames)) {
+        this._resolveSourceMapFrames(errorInfo.meta.frames).then(
+          function (frames) {
+            errorInfo.meta.frames = frames;
+            this._enqueueError(errorInfo);
+          }.bind(this)
+        );
+        return;
+      }
+
+      this._enqueueError(errorInfo);
+    },
+
+    /**
+     * エラーをキューに追加し、キュー処理を開始する
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _enqueueError: function (errorInfo) {
+      this.errorQueue.push(errorInfo);
+
+      // 送信完了まで永続化しておき、タブが閉じられても次回再送できるようにする
+      if (this.config.persistQueue) {
+        this._persistItem(errorInfo);
+      }
+
+      // バッチ送信時は、件数が揃うか待機時間が経過するまで送信しない
+      if (this._isBatching() && this.errorQueue.length < this.config.batchSize) {
+        this._scheduleBatchFlush();
+        return;
+      }
+
+      if (!this.isProcessingQueue) {
+        this.isProcessingQueue = true;
+        this._processQueue();
+      }
+    },
+
+    /**
+     * バッチ送信が有効かどうか
+     * @private
+     * @return {Boolean} batchSizeが2以上の場合true
+     */
+    _isBatching: function () {
+      return this.config.batchSize > 1;
+    },
+
+    /**
+     * batchIntervalMs経過後にキューを送信するタイマーを設定
+     * @private
+     */
+    _scheduleBatchFlush: function () {
+      if (this._batchTimer) {
+        return;
+      }
+
+      this._batchTimer = setTimeout(
+        function () {
+          this._batchTimer = null;
+          if (!this.isProcessingQueue) {
+            this.isProcessingQueue = true;
+            this._processQueue();
+          }
+        }.bind(this),
+        this.config.batchIntervalMs
+      );
+    },
+
+    /**
+     * 永続ストアを開く（IndexedDBを優先し、使えない場合はlocalStorage）
+     * @private
+     * @return {Promise} ストア（getAll, put, remove）を返すPromise。どちらも使えない場合null
+     */
+    _openPersistentStore: function () {
+      if (this._persistentStorePromise) {
+        return this._persistentStorePromise;
+      }
+
+      var self = this;
+      var name = this._getPersistStorageKey();
+      this._persistentStorePromise = this._openIndexedDbStore(name).catch(function () {
+        return self._openLocalStorageStore(name);
+      });
+      return this._persistentStorePromise;
+    },
+
+    /**
+     * 永続ストアの名前を取得する
+     * createClientで作成したクライアントは、persistStorageKeyを指定していなければ
+     * appNameとlogServerUrlから名前を作り、他のクライアントのエラーを再送しないようにする
+     * @private
+     * @return {String} IndexedDBのデータベース名/localStorageのキー
+     */
+    _getPersistStorageKey: function () {
+      if (this === ClientErrorCapture || this.userConfig.persistStorageKey !== undefined) {
+        return this.config.persistStorageKey;
+      }
+      return (
+        this.config.persistStorageKey +
+        "_" +
+        this._hashString(String(this.config.appName) + "\n" + String(this.config.logServerUrl))
+      );
+    },
+
+    /**
+     * IndexedDBを使用したストアを開く
+     * @param {String} name データベース名
+     * @private
+     * @return {Promise} ストアを返すPromise
+     */
+    _openIndexedDbStore: function (name) {
+      return new Promise(function (resolve, reject) {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+
+        var openRequest = indexedDB.open(name, 1);
+        openRequest.onupgradeneeded = function () {
+          openRequest.result.createObjectStore("queue", { keyPath: "id" });
+        };
+        openRequest.onerror = function () {
+          reject(openRequest.error);
+        };
+        openRequest.onsuccess = function () {
+          var db = openRequest.result;
+
+          // 1操作ごとにトランザクションを作成してPromise化
+          var run = function (mode, operation) {
+            return new Promise(function (resolveOp, rejectOp) {
+              var tx = db.transaction("queue", mode);
+              var request = operation(tx.objectStore("queue"));
+              tx.oncomplete = function () {
+                resolveOp(request.result);
+              };
+              tx.onerror = tx.onabort = function () {
+                rejectOp(tx.error);
+              };
+            });
+          };
+
+          resolve({
+            getAll: function () {
+              return run("readonly", function (store) {
+                return store.getAll();
+              });
+            },
+            put: function (record) {
+              return run("readwrite", function (store) {
+                return store.put(record);
+              });
+            },
+            remove: function (id) {
+              return run("readwrite", function (store) {
+                return store["delete"](id);
+              });
+            },
+          });
+        };
+      });
+    },
+
+    /**
+     * localStorageを使用したストアを開く
+     * @param {String} key 保存キー
+     * @private
+     * @return {Object|null} ストア（localStorageが使えない場合null）
+     */
+    _openLocalStorageStore: function (key) {
+      var storage;
+      try {
+        storage = window.localStorage;
+      } catch (_) {
+        storage = null;
+      }
+      if (!storage) {
+        return null;
+      }
+
+      var read = function () {
+        try {
+          return JSON.parse(storage.getItem(key) || "[]");
+        } catch (_) {
+          return [];
+        }
+      };
+      var write = function (records) {
+        storage.setItem(key, JSON.stringify(records));
+      };
+
+      return {
+        getAll: function () {
+          return Promise.resolve(read());
+        },
+        put: function (record) {
+          var records = read().filter(function (r) {
+            return r.id !== record.id;
+          });
+          records.push(record);
+          write(records);
+          return Promise.resolve();
+        },
+        remove: function (id) {
+          write(
+            read().filter(function (r) {
+              return r.id !== id;
+            })
+          );
+          return Promise.resolve();
+        },
+      };
+    },
+
+    /**
+     * 未送信のエラーを永続ストアに保存する
+     * @param {Object} errorInfo エラー情報
      * @private
-     * @return {Boolean} 除外すべきエラーの場合true
+     * @return {Promise} 保存完了のPromise
      */
-    _shouldIgnoreError: function (errorData) {
-      var message = errorData.message || "";
-      var source = errorData.source || "";
-
-      // メッセージパターンのチェック
-      if (this.config.ignorePatterns && this.config.ignorePatterns.length > 0) {
-        for (var i = 0; i < this.config.ignorePatterns.length; i++) {
-          var pattern = this.config.ignorePatterns[i];
-          if (this._matchesPattern(message, pattern)) {
-            return true;
-          }
-        }
+    _persistItem: function (errorInfo) {
+      var self = this;
+      if (!errorInfo.eventId) {
+        errorInfo.eventId = this._generateEventId();
       }
+      // 個人情報・秘密情報はマスキングした状態で端末に保存する
+      var record = this._redactPayload(this._deepClone(errorInfo));
+
+      return this._openPersistentStore()
+        .then(function (store) {
+          if (!store) return;
+          return store
+            .put({ id: errorInfo.eventId, storedAt: Date.now(), errorInfo: record })
+            .then(function () {
+              return self._prunePersistentStore(store);
+            });
+        })
+        .catch(function (persistError) {
+          self._log("Failed to persist error log:", persistError);
+        });
+    },
 
-      // URLパターンのチェック
-      if (this.config.ignoreUrls && this.config.ignoreUrls.length > 0) {
-        for (var j = 0; j < this.config.ignoreUrls.length; j++) {
-          var urlPattern = this.config.ignoreUrls[j];
-          if (this._matchesPattern(source, urlPattern)) {
-            return true;
-          }
-        }
+    /**
+     * 送信済みのエラーを永続ストアから削除する
+     * @param {Array} errorInfos エラー情報の配列
+     * @private
+     * @return {Promise} 削除完了のPromise
+     */
+    _unpersistItems: function (errorInfos) {
+      var self = this;
+      if (!this.config.persistQueue) {
+        return Promise.resolve();
       }
 
-      return false;
+      return this._openPersistentStore()
+        .then(function (store) {
+          if (!store) return;
+          return Promise.all(
+            errorInfos.map(function (errorInfo) {
+              return errorInfo.eventId ? store.remove(errorInfo.eventId) : null;
+            })
+          );
+        })
+        .catch(function (persistError) {
+          self._log("Failed to remove persisted error log:", persistError);
+        });
     },
 
     /**
-     * 文字列がパターンにマッチするかチェック
-     * @param {String} str チェック対象の文字列
-     * @param {String|RegExp} pattern パターン（文字列または正規表現）
+     * 期限切れ・上限超過のエラーを永続ストアから削除する
+     * @param {Object} store 永続ストア
      * @private
-     * @return {Boolean} マッチした場合true
+     * @return {Promise} 残ったレコードの配列を返すPromise
      */
-    _matchesPattern: function (str, pattern) {
-      // strがundefined/nullの場合のみ早期リターン（空文字列""は許容）
-      if (str === undefined || str === null || !pattern) {
-        return false;
-      }
+    _prunePersistentStore: function (store) {
+      var maxItems = this.config.persistMaxItems;
+      var minStoredAt = Date.now() - this.config.persistMaxAgeMs;
 
-      try {
-        // 正規表現の場合
-        if (pattern instanceof RegExp) {
-          return pattern.test(str);
-        }
+      return store.getAll().then(function (records) {
+        records.sort(function (a, b) {
+          return a.storedAt - b.storedAt;
+        });
 
-        // 文字列の場合は部分一致
-        if (typeof pattern === "string") {
-          return str.indexOf(pattern) !== -1;
+        var kept = [];
+        var removals = [];
+        for (var i = 0; i < records.length; i++) {
+          // 古いものから件数超過分を削除
+          var overLimit = records.length - i > maxItems;
+          if (records[i].storedAt < minStoredAt || overLimit) {
+            removals.push(store.remove(records[i].id));
+          } else {
+            kept.push(records[i]);
+          }
         }
-      } catch (e) {
-        // パターンマッチングに失敗した場合は無視しない
-        return false;
-      }
 
-      return false;
+        return Promise.all(removals).then(function () {
+          return kept;
+        });
+      });
     },
 
     /**
-     * スタックトレースから行番号と列番号を抽出する
-     * @param {Array} stackLines スタックトレースの行配列
+     * 永続ストアに残っているエラーを再送キューに戻す（init時・オンライン復帰時）
      * @private
-     * @return {Object|null} 行番号と列番号を含むオブジェクトまたはnull
+     * @return {Promise} 完了のPromise
      */
-    _extractErrorPositionFromStack: function (stackLines) {
-      if (!stackLines || stackLines.length === 0) {
-        return null;
+    _replayPersistedQueue: function () {
+      var self = this;
+      if (!this.config.persistQueue) {
+        return Promise.resolve();
       }
 
-      // Chrome/Firefox/Safari形式のスタックトレースをパース
-      // 例: "    at functionName (file.js:123:45)"
-      // 例: "    at file.js:123:45"
-      for (var i = 0; i < stackLines.length; i++) {
-        var line = stackLines[i].trim();
-
-        // "at "で始まる行を検索
-        if (line.indexOf("at ") === 0) {
-          // 括弧内のファイル情報を抽出
-          var matches = line.match(/\((.+):(\d+):(\d+)\)$/);
-
-          // 括弧がない場合（例：at file.js:123:45）
-          if (!matches) {
-            matches = line.match(/at\s+(.+):(\d+):(\d+)$/);
-          }
+      return this._openPersistentStore()
+        .then(function (store) {
+          if (!store) return;
+          return self._prunePersistentStore(store).then(function (records) {
+            for (var i = 0; i < records.length; i++) {
+              var errorInfo = records[i].errorInfo;
+              if (self._isQueued(errorInfo.eventId)) continue;
+
+              // 前回のセッションで使い切った再試行回数はリセット
+              errorInfo._attempts = 0;
+              self.errorQueue.push(errorInfo);
+            }
+            self._resumeQueue();
+          });
+        })
+        .catch(function (persistError) {
+          self._log("Failed to replay persisted error logs:", persistError);
+        });
+    },
 
-          if (matches && matches.length >= 4) {
-            return {
-              file: matches[1],
-              lineNo: parseInt(matches[2], 10),
-              colNo: parseInt(matches[3], 10),
-            };
+    /**
+     * 指定したeventIdのエラーがメモリ上にあるかどうか（キュー・送信中・再試行待ち）
+     * @param {String} eventId イベントID
+     * @private
+     * @return {Boolean} メモリ上にある場合true
+     */
+    _isQueued: function (eventId) {
+      var lists = [this.errorQueue, this._inFlightItems, this._pendingRetries];
+      for (var i = 0; i < lists.length; i++) {
+        for (var j = 0; j < lists[i].length; j++) {
+          if (lists[i][j].eventId === eventId) {
+            return true;
           }
         }
       }
-
-      return null;
+      return false;
     },
 
     /**
-     * エラーをキューに追加
-     * @param {Object} errorInfo エラー情報
+     * オフラインかどうか（永続キュー有効時のみ送信を保留する）
      * @private
+     * @return {Boolean} オフラインの場合true
      */
-    _queueError: function (errorInfo) {
-      this.errorQueue.push(errorInfo);
+    _isOffline: function () {
+      return !!this.config.persistQueue && typeof navigator !== "undefined" && navigator.onLine === false;
+    },
 
-      if (!this.isProcessingQueue) {
+    /**
+     * 停止しているキュー処理を再開する
+     * @private
+     */
+    _resumeQueue: function () {
+      if (!this.isProcessingQueue && this.errorQueue.length > 0) {
         this.isProcessingQueue = true;
         this._processQueue();
       }
@@ -650,7 +3562,8 @@
      * @private
      */
     _processQueue: function () {
-      if (this.errorQueue.length === 0) {
+      // オフライン中はonlineイベントまで送信を保留
+      if (this.errorQueue.length === 0 || this._isOffline()) {
         this.isProcessingQueue = false;
         return;
       }
@@ -668,6 +3581,11 @@
         return;
       }
 
+      if (this._isBatching()) {
+        this._processBatchInQueue();
+        return;
+      }
+
       var errorInfo = this.errorQueue.shift();
 
       if (!errorInfo) {
@@ -676,40 +3594,73 @@
       }
 
       // エラーをサーバーに送信
+      this._inFlightItems.push(errorInfo);
       this._sendErrorToServer(errorInfo)
         .then(
           function () {
             if (this.config.logToConsole) {
               this._log("Error log sent successfully");
             }
+            this._releaseInFlight(errorInfo);
+            this._unpersistItems([errorInfo]);
           }.bind(this)
         )
         .catch(
           function (err) {
             if (this.config.logToConsole) {
-              console.error("Failed to send error log to server:", err);
+              this._logError("Failed to send error log to server:", err);
             }
 
-            // 再試行ロジック
-            if (errorInfo._attempts) {
-              errorInfo._attempts += 1;
-            } else {
-              errorInfo._attempts = 1;
+            // ページ離脱時に送信済みの場合は再試行しない
+            if (this._releaseInFlight(errorInfo)) {
+              this._scheduleRetry(errorInfo);
+            }
+          }.bind(this)
+        )
+        .finally(
+          function () {
+            // キューの処理を続行
+            setTimeout(
+              function () {
+                this._processQueue();
+              }.bind(this),
+              0
+            );
+          }.bind(this)
+        );
+    },
+
+    /**
+     * キューから最大batchSize件を取り出してまとめて送信
+     * @private
+     */
+    _processBatchInQueue: function () {
+      var batch = this.errorQueue.splice(0, this.config.batchSize);
+
+      this._inFlightItems = this._inFlightItems.concat(batch);
+      this._sendBatchToServer(batch)
+        .then(
+          function () {
+            if (this.config.logToConsole) {
+              this._log("Error log batch sent successfully:", batch.length);
+            }
+            for (var i = 0; i < batch.length; i++) {
+              this._releaseInFlight(batch[i]);
+            }
+            this._unpersistItems(batch);
+          }.bind(this)
+        )
+        .catch(
+          function (err) {
+            if (this.config.logToConsole) {
+              this._logError("Failed to send error log batch to server:", err);
             }
 
-            // 最大試行回数未満なら、再度キューに追加
-            if (errorInfo._attempts < this.config.maxAttempts) {
-              // 指数バックオフで再試行
-              const backoffTime =
-                this.config.throttleTime *
-                Math.pow(this.config.backoffFactor, errorInfo._attempts - 1);
-
-              setTimeout(
-                function () {
-                  this.errorQueue.push(errorInfo);
-                }.bind(this),
-                backoffTime
-              );
+            // 再試行回数はバッチ内のアイテムごとに管理（ページ離脱時に送信済みのものは除く）
+            for (var i = 0; i < batch.length; i++) {
+              if (this._releaseInFlight(batch[i])) {
+                this._scheduleRetry(batch[i]);
+              }
             }
           }.bind(this)
         )
@@ -727,44 +3678,553 @@
     },
 
     /**
-     * エラーをサーバーに送信
-     * @param {Object} errorInfo エラー情報
+     * 送信中のエラー情報から取り除く
+     * @param {Object} errorInfo エラー情報
+     * @private
+     * @return {Boolean} 送信中だった場合true（ページ離脱時の送信に引き継がれた場合false）
+     */
+    _releaseInFlight: function (errorInfo) {
+      var index = this._inFlightItems.indexOf(errorInfo);
+      if (index === -1) {
+        return false;
+      }
+      this._inFlightItems.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * 送信に失敗したアイテムの試行回数を加算し、上限未満なら再度キューに追加
+     * @param {Object} errorInfo エラー情報
+     * @private
+     */
+    _scheduleRetry: function (errorInfo) {
+      // 再試行ロジック
+      if (errorInfo._attempts) {
+        errorInfo._attempts += 1;
+      } else {
+        errorInfo._attempts = 1;
+      }
+
+      // 最大試行回数未満なら、再度キューに追加
+      if (errorInfo._attempts < this.config.maxAttempts) {
+        // 指数バックオフで再試行
+        const backoffTime =
+          this.config.throttleTime *
+          Math.pow(this.config.backoffFactor, errorInfo._attempts - 1);
+
+        this._pendingRetries.push(errorInfo);
+        setTimeout(
+          function () {
+            var index = this._pendingRetries.indexOf(errorInfo);
+            if (index !== -1) {
+              this._pendingRetries.splice(index, 1);
+            }
+            this.errorQueue.push(errorInfo);
+          }.bind(this),
+          backoffTime
+        );
+      }
+    },
+
+    /**
+     * エラーをサーバーに送信
+     * @param {Object} errorInfo エラー情報
+     * @private
+     * @return {Promise} 送信Promise
+     */
+    _sendErrorToServer: function (errorInfo) {
+      // 送信前にペイロードを構築（snake_case変換やschema付与など）
+      var payload = this._buildRequestPayload(errorInfo);
+      return this._sendViaTransport(payload, {
+        body: JSON.stringify(payload),
+        contentType: "application/json",
+        batch: false,
+      });
+    },
+
+    /**
+     * 複数のエラーを1リクエストでサーバーに送信
+     * @param {Array} errorInfos エラー情報の配列
+     * @private
+     * @return {Promise} 送信Promise
+     */
+    _sendBatchToServer: function (errorInfos) {
+      var request = this._encodeBatch(errorInfos);
+      return this._sendViaTransport(request.payloads, {
+        body: request.body,
+        contentType: request.contentType,
+        batch: true,
+      });
+    },
+
+    /**
+     * 複数のエラーをbatchFormatに従ってリクエスト本文に変換
+     * @param {Array} errorInfos エラー情報の配列
+     * @private
+     * @return {Object} payloads（ペイロードの配列）、body（リクエスト本文）、contentTypeを含むオブジェクト
+     */
+    _encodeBatch: function (errorInfos) {
+      var payloads = [];
+      for (var i = 0; i < errorInfos.length; i++) {
+        payloads.push(this._buildRequestPayload(errorInfos[i]));
+      }
+
+      if (this.config.batchFormat === "ndjson") {
+        var lines = payloads.map(function (payload) {
+          return JSON.stringify(payload);
+        });
+        return { payloads: payloads, body: lines.join("\n") + "\n", contentType: "application/x-ndjson" };
+      }
+
+      return { payloads: payloads, body: JSON.stringify(payloads), contentType: "application/json" };
+    },
+
+    /**
+     * ページ離脱時にキューに残っているエラーをsendBeacon/keepaliveで送信
+     * 通常のXHRはページ遷移時にブラウザにキャンセルされるため
+     * @param {Boolean} includeInFlight 送信中（応答待ち）のエラーも送信し直す場合true（pagehide時）
+     * @private
+     */
+    _flushQueueOnUnload: function (includeInFlight) {
+      if (!this._canSendToServer()) {
+        return;
+      }
+
+      // 集約中の重複もcount付きで送信対象にする
+      this._flushDedupeEntries();
+
+      // 送信待ちの"budget_exceeded"イベントも離脱前に送る
+      var budgetReport = this._takeBudgetReport();
+      if (budgetReport) {
+        this.errorQueue.push(budgetReport);
+      }
+      if (this.errorQueue.length === 0 && (!includeInFlight || this._inFlightItems.length === 0)) {
+        return;
+      }
+
+      if (this._batchTimer) {
+        clearTimeout(this._batchTimer);
+        this._batchTimer = null;
+      }
+
+      // pagehide時は送信中のリクエストがページ離脱でキャンセルされる可能性があるため、応答を待たずに送信し直す
+      var inFlight = includeInFlight ? this._inFlightItems : [];
+      if (includeInFlight) {
+        this._inFlightItems = [];
+      }
+      var items = inFlight.concat(this.errorQueue.splice(0, this.errorQueue.length));
+      var unsent = [];
+      var chunkSize = this._isBatching() ? this.config.batchSize : 1;
+      var maxBytes = this.config.beaconMaxBytes;
+      var index = 0;
+
+      while (index < items.length) {
+        var chunk = items.slice(index, index + chunkSize);
+        var request = this._encodeForUnload(chunk);
+
+        // サイズ上限を超える場合は件数を減らす
+        while (chunk.length > 1 && this._byteLength(request.body) > maxBytes) {
+          chunk = chunk.slice(0, Math.ceil(chunk.length / 2));
+          request = this._encodeForUnload(chunk);
+        }
+        index += chunk.length;
+
+        if (this._byteLength(request.body) > maxBytes || !this._sendOnUnload(request)) {
+          unsent = unsent.concat(chunk);
+        } else {
+          this._unpersistItems(chunk);
+        }
+      }
+
+      // 送信できなかったエラーはキューに戻す（ページが再表示された場合に通常送信される。永続キュー有効時は次回init時にも再送）
+      // 送信中だったものは通常の送信の結果に任せる
+      var requeued = [];
+      for (var k = 0; k < unsent.length; k++) {
+        if (inFlight.indexOf(unsent[k]) !== -1) {
+          this._inFlightItems.push(unsent[k]);
+        } else {
+          requeued.push(unsent[k]);
+        }
+      }
+      this.errorQueue = requeued.concat(this.errorQueue);
+    },
+
+    /**
+     * ページ離脱時に送信するリクエスト本文を構築
+     * @param {Array} errorInfos エラー情報の配列
+     * @private
+     * @return {Object} payload（バッチの場合はpayloads）、body（リクエスト本文）、contentTypeを含むオブジェクト
+     */
+    _encodeForUnload: function (errorInfos) {
+      if (this._isBatching()) {
+        return this._encodeBatch(errorInfos);
+      }
+      var payload = this._buildRequestPayload(errorInfos[0]);
+      return {
+        payload: payload,
+        body: JSON.stringify(payload),
+        contentType: "application/json",
+      };
+    },
+
+    /**
+     * ページ離脱後も送信が継続されるsendBeacon/fetch keepaliveで送信
+     * sendBeaconはカスタムヘッダーを付与できないため、customHeadersがある場合はfetch keepaliveを優先
+     * 独自トランスポートの場合は、meta.keepalive: trueを付けてそのトランスポートで送信する（応答は待たない）
+     * @param {Object} request _encodeForUnloadで構築したリクエスト
+     * @private
+     * @return {Boolean} 送信を開始できた場合true
+     */
+    _sendOnUnload: function (request) {
+      var body = request.body;
+      var contentType = request.contentType;
+      var transport = this.config.transport;
+      if (transport && typeof transport.send === "function") {
+        try {
+          var sending = transport.send(request.payloads || request.payload, {
+            url: this.config.logServerUrl,
+            headers: this._buildRequestHeaders(contentType),
+            body: body,
+            contentType: contentType,
+            batch: this._isBatching(),
+            keepalive: true,
+          });
+          if (sending && typeof sending.catch === "function") {
+            sending.catch(function () {});
+          }
+          return true;
+        } catch (_) {
+          return false;
+        }
+      }
+
+      var url = this.config.logServerUrl;
+      var customHeaders = this.config.customHeaders || {};
+      var hasCustomHeaders = Object.keys(customHeaders).length > 0;
+      var canBeacon =
+        typeof navigator !== "undefined" && typeof navigator.sendBeacon === "function" && typeof Blob !== "undefined";
+
+      var sendBeacon = function () {
+        try {
+          return navigator.sendBeacon(url, new Blob([body], { type: contentType }));
+        } catch (_) {
+          return false;
+        }
+      };
+
+      if (canBeacon && !hasCustomHeaders && sendBeacon()) {
+        return true;
+      }
+
+      if (typeof window.fetch === "function") {
+        ClientErrorCapture._internalRequest = true;
+        try {
+          this.transports.fetch
+            .send(null, {
+              url: url,
+              headers: this._buildRequestHeaders(contentType),
+              body: body,
+              contentType: contentType,
+              keepalive: true,
+            })
+            .catch(function () {
+              // keepalive非対応・送信失敗の場合は、カスタムヘッダーなしでもsendBeaconで送信する
+              if (canBeacon) {
+                sendBeacon();
+              }
+            });
+          return true;
+        } catch (_) {
+          // keepalive非対応の場合はsendBeaconにフォールバック
+        } finally {
+          ClientErrorCapture._internalRequest = false;
+        }
+      }
+
+      // 最終手段としてカスタムヘッダーなしでsendBeaconを試みる
+      return canBeacon && hasCustomHeaders ? sendBeacon() : false;
+    },
+
+    /**
+     * 文字列のUTF-8でのバイト数を取得
+     * @param {String} str 対象文字列
+     * @private
+     * @return {Number} バイト数
+     */
+    _byteLength: function (str) {
+      if (typeof TextEncoder !== "undefined") {
+        return new TextEncoder().encode(str).length;
+      }
+      // %XXの並びを1バイトとして数える
+      return encodeURIComponent(str).replace(/%[A-F\d]{2}/g, "_").length;
+    },
+
+    /**
+     * 設定されたトランスポートでペイロードを送信する
+     * @param {Object|Array} payload 送信ペイロード（バッチの場合は配列）
+     * @param {Object} request body（リクエスト本文）、contentType、batchを含むオブジェクト
+     * @private
+     * @return {Promise} 送信Promise
+     */
+    _sendViaTransport: function (payload, request) {
+      var meta = {
+        url: this.config.logServerUrl,
+        headers: this._buildRequestHeaders(request.contentType),
+        body: request.body,
+        contentType: request.contentType,
+        batch: request.batch,
+      };
+
+      var sending;
+      try {
+        sending = Promise.resolve(this._getTransport().send(payload, meta));
+      } catch (transportError) {
+        sending = Promise.reject(transportError);
+      }
+
+      // プラグインのafterSendに送信結果を通知（送信Promiseの結果は変えない）
+      var self = this;
+      return sending.then(
+        function (response) {
+          self._notifyAfterSend({ success: true, payload: payload, response: response, batch: request.batch });
+          return response;
+        },
+        function (sendError) {
+          self._notifyAfterSend({ success: false, payload: payload, error: sendError, batch: request.batch });
+          throw sendError;
+        }
+      );
+    },
+
+    /**
+     * 設定されたトランスポートを取得
+     * @private
+     * @return {Object} send(payload, meta)を持つトランスポート
+     */
+    _getTransport: function () {
+      var transport = this.config.transport;
+      if (transport && typeof transport.send === "function") {
+        return transport;
+      }
+      // Service Worker等、XMLHttpRequestが使えないWorker内ではfetchで送信する
+      if ((!transport || transport === "xhr") && this._getWorkerType() && typeof XMLHttpRequest === "undefined") {
+        return this.transports.fetch;
+      }
+      if (typeof transport === "string" && this.transports[transport]) {
+        return this.transports[transport];
+      }
+      return this.transports.xhr;
+    },
+
+    /**
+     * サーバーへの送信が可能な設定かどうか
      * @private
-     * @return {Promise} 送信Promise
+     * @return {Boolean} 送信可能な場合true
      */
-    _sendErrorToServer: function (errorInfo) {
-      return new Promise(
-        function (resolve, reject) {
-          var xhr = new XMLHttpRequest();
-          xhr.open("POST", this.config.logServerUrl, true);
-          xhr.setRequestHeader("Content-Type", "application/json");
+    _canSendToServer: function () {
+      if (!this.config.logToServer) {
+        return false;
+      }
+      // 独自トランスポート（WebSocket等）はlogServerUrlを必要としない場合がある
+      var transport = this.config.transport;
+      return !!this.config.logServerUrl || !!(transport && typeof transport.send === "function");
+    },
 
-          // カスタムヘッダーを設定
-          for (var header in this.config.customHeaders) {
-            if (this.config.customHeaders.hasOwnProperty(header)) {
-              xhr.setRequestHeader(header, this.config.customHeaders[header]);
-            }
-          }
+    /**
+     * リクエストヘッダー（Content-TypeとcustomHeaders）を構築
+     * @param {String} contentType Content-Type
+     * @private
+     * @return {Object} ヘッダー
+     */
+    _buildRequestHeaders: function (contentType) {
+      var headers = { "Content-Type": contentType };
+      var customHeaders = this.config.customHeaders || {};
+      for (var header in customHeaders) {
+        if (Object.prototype.hasOwnProperty.call(customHeaders, header)) {
+          headers[header] = customHeaders[header];
+        }
+      }
+      return headers;
+    },
 
-          xhr.onload = function () {
-            if (xhr.status >= 200 && xhr.status < 300) {
-              resolve(xhr.response);
-            } else {
-              reject(new Error("HTTP error: " + xhr.status));
+    /**
+     * 組み込みトランスポート
+     * send(payload, meta)はpayload（送信ペイロード、バッチの場合は配列）と
+     * meta（url, headers, body, contentType, batch）を受け取り、送信完了で解決するPromiseを返す
+     */
+    transports: {
+      /**
+       * XMLHttpRequestで送信（デフォルト）
+       */
+      xhr: {
+        send: function (payload, meta) {
+          return new Promise(function (resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.open("POST", meta.url, true);
+
+            for (var header in meta.headers) {
+              if (Object.prototype.hasOwnProperty.call(meta.headers, header)) {
+                xhr.setRequestHeader(header, meta.headers[header]);
+              }
             }
-          }.bind(this);
 
-          xhr.onerror = function () {
-            reject(new Error("Network error occurred"));
-          }.bind(this);
+            xhr.onload = function () {
+              if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(xhr.response);
+              } else {
+                reject(new Error("HTTP error: " + xhr.status));
+              }
+            };
 
-          // 送信前にペイロードを構築（snake_case変換やschema付与など）
-          var payload = this._buildRequestPayload(errorInfo);
-          xhr.send(JSON.stringify(payload));
-        }.bind(this)
-      );
+            xhr.onerror = function () {
+              reject(new Error("Network error occurred"));
+            };
+
+            xhr.send(meta.body);
+          });
+        },
+      },
+
+      /**
+       * fetchで送信（meta.keepaliveがtrueの場合はページ離脱後も送信を継続）
+       */
+      fetch: {
+        send: function (payload, meta) {
+          return globalScope
+            .fetch(meta.url, {
+              method: "POST",
+              headers: meta.headers,
+              body: meta.body,
+              keepalive: !!meta.keepalive,
+            })
+            .then(function (response) {
+              if (!response.ok) {
+                throw new Error("HTTP error: " + response.status);
+              }
+              return response;
+            });
+        },
+      },
+
+      /**
+       * navigator.sendBeaconで送信（カスタムヘッダーは付与できない）
+       */
+      beacon: {
+        send: function (payload, meta) {
+          var queued = false;
+          try {
+            queued = navigator.sendBeacon(meta.url, new Blob([meta.body], { type: meta.contentType }));
+          } catch (_) {
+            queued = false;
+          }
+          return queued ? Promise.resolve() : Promise.reject(new Error("sendBeacon failed"));
+        },
+      },
     },
 
+    /**
+     * デフォルトプラグイン（init時にこの順で登録される）
+     * 同名のプラグインをuse()またはpluginsで登録すると置き換えられ、removePlugin()で削除できる
+     */
+    defaultPlugins: [
+      {
+        // ignorePatterns/ignoreUrlsにマッチするエラーを除外する
+        name: "ignoreFilter",
+        onEvent: function (event, hint) {
+          var client = hint.client;
+          if (!client._shouldIgnoreError(hint.errorData)) {
+            return event;
+          }
+          if (client.config.logToConsole) {
+            client._log("Error ignored by pattern:", hint.errorData.message);
+          }
+          return hint.drop("ignored");
+        },
+      },
+      {
+        // デバイスIDを初期化し、イベントのidに付与する
+        name: "deviceId",
+        setup: function (client) {
+          try {
+            client.deviceId = client._getOrCreateDeviceId();
+          } catch (_) {
+            client.deviceId = client._generateEventId();
+          }
+        },
+        onEvent: function (event, hint) {
+          var client = hint.client;
+          // Worker内ではlocalStorage/Cookieが使えないため、init時に生成したIDを使う
+          event.id = client._getWorkerType() ? client.deviceId : client._getOrCreateDeviceId();
+          return event;
+        },
+      },
+      {
+        // セッションIDをイベントのsessionIdに付与し、セッションごとのエラー件数を数える
+        // ページではクリック・キー入力を操作として記録し、sessionPings: trueの場合はページ離脱時にセッション終了のpingを送信する
+        name: "session",
+        setup: function (client) {
+          client._touchSession();
+          if (client._getWorkerType()) {
+            return;
+          }
+
+          // 前回のsetupで登録したリスナーが残っていれば解除してから登録する
+          var previous = client._sessionRestorers;
+          for (var i = 0; i < previous.length; i++) {
+            previous[i]();
+          }
+
+          var restorers = [];
+          var touch = function () {
+            client._touchSession();
+          };
+          client._listen(globalScope, "click", touch, true, restorers);
+          client._listen(globalScope, "keydown", touch, true, restorers);
+          if (client.config.sessionPings) {
+            client._listen(
+              globalScope,
+              "pagehide",
+              function () {
+                client._endSession(true);
+              },
+              false,
+              restorers
+            );
+          }
+          client._sessionRestorers = restorers;
+        },
+        onEvent: function (event, hint) {
+          hint.client._recordSessionEvent(event);
+          return event;
+        },
+        teardown: function (client) {
+          var restorers = client._sessionRestorers;
+          client._sessionRestorers = [];
+          for (var i = 0; i < restorers.length; i++) {
+            restorers[i]();
+          }
+        },
+      },
+      {
+        // フィンガープリントをこのリリースで初めて検出したかをfirstSeenInReleaseに付与する
+        name: "release",
+        onEvent: function (event, hint) {
+          hint.client._markFirstSeen(event);
+          return event;
+        },
+      },
+      {
+        // ブラウザ情報をmeta.browserに付与する（追加情報で指定されている場合はそちらを優先）
+        name: "browserInfo",
+        onEvent: function (event, hint) {
+          if (event.meta && event.meta.browser === undefined) {
+            event.meta.browser = hint.client._getBrowserInfo();
+          }
+          return event;
+        },
+      },
+    ],
+
     /**
      * 送信ペイロードを構築（任意のschemaフィールド付与、snake_case変換、予約語保護）
      * @param {Object} errorInfo フォーマット済みのエラー情報（camelCase）
@@ -774,6 +4234,18 @@
     _buildRequestPayload: function (errorInfo) {
       var payload = this._deepClone(errorInfo);
 
+      // ブレッドクラムをmetaに添付（エラー発生時点のスナップショットを優先）
+      if (payload && Object.prototype.hasOwnProperty.call(payload, "_breadcrumbs")) {
+        if (Array.isArray(payload._breadcrumbs) && payload._breadcrumbs.length > 0) {
+          payload.meta = payload.meta || {};
+          payload.meta.breadcrumbs = payload._breadcrumbs;
+        }
+        delete payload._breadcrumbs;
+      }
+
+      // 個人情報・秘密情報をマスキング（URLのトークン、メッセージ中のメールアドレス等）
+      payload = this._redactPayload(payload);
+
       // 任意のschemaフィールドを追加
       if (this.config && typeof this.config.schemaName === "string" && this.config.schemaName) {
         payload.schemaName = this.config.schemaName;
@@ -805,6 +4277,178 @@
       return payload;
     },
 
+    /**
+     * ペイロード内の個人情報・秘密情報をマスキングする
+     * @param {Object} payload クローン済みのペイロード
+     * @private
+     * @return {Object} マスキング後のペイロード
+     */
+    _redactPayload: function (payload) {
+      var rules = this._getRedactionRules(true);
+      if (rules.keys.length === 0 && rules.queryParams.length === 0 && rules.patterns.length === 0) {
+        return payload;
+      }
+
+      // setUserで明示的に設定したユーザー情報（meta.user）には組み込みのルールを適用しない
+      var meta = payload && payload.meta;
+      var user = meta && typeof meta === "object" ? meta.user : undefined;
+      if (user && typeof user === "object") {
+        meta.user = null;
+        payload = this._redactValue(payload, rules, 0);
+        meta.user = this._redactValue(user, this._getRedactionRules(false), 0);
+        return payload;
+      }
+      return this._redactValue(payload, rules, 0);
+    },
+
+    /**
+     * 設定から適用するマスキングルールを組み立てる
+     * @param {Boolean} includeDefaults 組み込みのルール（redactPii）を含めるか
+     * @private
+     * @return {Object} keys, queryParams, patternsを持つルール
+     */
+    _getRedactionRules: function (includeDefaults) {
+      var config = this.config || {};
+      var defaults = this._defaultRedactionRules;
+      var rules = { keys: [], queryParams: [], patterns: [] };
+
+      if (includeDefaults && config.redactPii) {
+        rules.keys = rules.keys.concat(defaults.keys);
+        rules.queryParams = rules.queryParams.concat(defaults.queryParams);
+        rules.patterns = rules.patterns.concat(defaults.patterns);
+      }
+
+      rules.keys = rules.keys.concat(config.redactKeys || []);
+      rules.queryParams = rules.queryParams.concat(config.redactQueryParams || []);
+      (config.redactPatterns || []).forEach(function (rule) {
+        if (rule instanceof RegExp) {
+          rules.patterns.push({ pattern: rule, replacement: "[Filtered]" });
+        } else if (rule && rule.pattern instanceof RegExp) {
+          rules.patterns.push({
+            pattern: rule.pattern,
+            replacement: typeof rule.replacement === "string" ? rule.replacement : "[Filtered]",
+          });
+        }
+      });
+
+      return rules;
+    },
+
+    /**
+     * 値を再帰的にマスキングする
+     * @param {any} value 対象の値
+     * @param {Object} rules マスキングルール
+     * @param {Number} depth 再帰の深さ
+     * @private
+     * @return {any} マスキング後の値
+     */
+    _redactValue: function (value, rules, depth) {
+      if (typeof value === "string") {
+        return this._redactString(value, rules);
+      }
+      if (!value || typeof value !== "object" || depth > 20) {
+        return value;
+      }
+
+      if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+          value[i] = this._redactValue(value[i], rules, depth + 1);
+        }
+        return value;
+      }
+
+      for (var key in value) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+
+        if (this._isRedactedKey(key, rules.keys)) {
+          value[key] = "[Filtered]";
+        } else {
+          value[key] = this._redactValue(value[key], rules, depth + 1);
+        }
+      }
+      return value;
+    },
+
+    /**
+     * キーがマスキング対象かどうか
+     * @param {String} key オブジェクトのキー
+     * @param {Array} keys マスキング対象のキー（文字列またはRegExp）
+     * @private
+     * @return {Boolean} マスキング対象の場合true
+     */
+    _isRedactedKey: function (key, keys) {
+      for (var i = 0; i < keys.length; i++) {
+        var rule = keys[i];
+        if (rule instanceof RegExp ? rule.test(key) : String(rule).toLowerCase() === key.toLowerCase()) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * 文字列中のクエリパラメータ・パターンをマスキングする
+     * @param {String} str 対象文字列
+     * @param {Object} rules マスキングルール
+     * @private
+     * @return {String} マスキング後の文字列
+     */
+    _redactString: function (str, rules) {
+      var result = str;
+
+      if (rules.queryParams.length > 0 && /[?&#]/.test(result)) {
+        var names = rules.queryParams.map(function (name) {
+          return String(name).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        });
+        // スタックトレース中のURLでは末尾の「:行:列」を値に含めない
+        var paramPattern = new RegExp(
+          "([?&#](?:" + names.join("|") + ")=)[^&#\\s\"'()<>]*?(?=:\\d+(?::\\d+)?(?:[)\\s]|$)|[&#\\s\"'()<>]|$)",
+          "gi"
+        );
+        result = result.replace(paramPattern, "$1[Filtered]");
+      }
+
+      for (var i = 0; i < rules.patterns.length; i++) {
+        var rule = rules.patterns[i];
+        // gフラグのない正規表現でもすべての出現箇所を置き換える
+        var pattern = rule.pattern.global
+          ? rule.pattern
+          : new RegExp(rule.pattern.source, rule.pattern.flags + "g");
+        pattern.lastIndex = 0;
+
+        if (rule.luhn) {
+          var isLuhnValid = this._isLuhnValid;
+          result = result.replace(pattern, function (match) {
+            return isLuhnValid(match) ? rule.replacement : match;
+          });
+        } else {
+          result = result.replace(pattern, rule.replacement);
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Luhnアルゴリズムでカード番号らしい数字列かどうかを判定する
+     * @param {String} str 数字列（空白・ハイフンを含んでもよい）
+     * @private
+     * @return {Boolean} チェックディジットが正しい場合true
+     */
+    _isLuhnValid: function (str) {
+      var digits = String(str).replace(/\D/g, "");
+      var sum = 0;
+      for (var i = 0; i < digits.length; i++) {
+        var digit = Number(digits.charAt(digits.length - 1 - i));
+        if (i % 2 === 1) {
+          digit *= 2;
+          if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+      }
+      return digits.length >= 13 && sum % 10 === 0;
+    },
+
     /**
      * オブジェクトを深くクローン
      * @param {any} value クローン対象
@@ -896,7 +4540,31 @@
       if (this.config && this.config.logToConsole) {
         var args = Array.prototype.slice.call(arguments);
         args.unshift("[ClientErrorCapture]");
-        console.log.apply(console, args);
+        this._callConsole("log", args);
+      }
+    },
+
+    /**
+     * ライブラリ内部のエラーを出力
+     * @private
+     */
+    _logError: function () {
+      this._callConsole("error", Array.prototype.slice.call(arguments));
+    },
+
+    /**
+     * console捕捉・ブレッドクラムの対象外としてconsoleを呼び出す
+     * @param {String} method consoleメソッド名
+     * @param {Array} args 引数
+     * @private
+     */
+    _callConsole: function (method, args) {
+      var wasInternal = ClientErrorCapture._internalConsoleCall;
+      ClientErrorCapture._internalConsoleCall = true;
+      try {
+        console[method].apply(console, args);
+      } finally {
+        ClientErrorCapture._internalConsoleCall = wasInternal;
       }
     },
 
@@ -904,11 +4572,12 @@
      * エラーを手動で記録
      * @param {Error|Object|String} error エラーオブジェクトまたはメッセージ
      * @param {Object} additionalInfo 追加情報（オプション）
+     * @param {Object} options オプション（level: "debug" | "info" | "warn" | "error"、デフォルト"error"）
      * @return {Object} ClientErrorCaptureインスタンス
      */
-    captureError: function (error, additionalInfo) {
+    captureError: function (error, additionalInfo, options) {
       if (!this.initialized) {
-        console.error(
+        this._logError(
           "ClientErrorCapture must be initialized before capturing errors. Call ClientErrorCapture.init() first."
         );
         return this;
@@ -959,6 +4628,7 @@
 
       var errorData = {
         type: "manual",
+        level: this._normalizeLevel(options && options.level, "error"),
         error: errorObj,
         message: errorObj.message,
         lineno: errorPosition.lineno,
@@ -970,6 +4640,130 @@
       return this;
     },
 
+    /**
+     * エラーをlevel: "warn"で記録（非推奨の経路の利用や、処理を継続できる失敗など）
+     * @param {Error|Object|String} error エラーオブジェクトまたはメッセージ
+     * @param {Object} additionalInfo 追加情報（オプション）
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    captureWarning: function (error, additionalInfo) {
+      return this.captureError(error, additionalInfo, { level: "warn" });
+    },
+
+    /**
+     * メッセージを記録（スタックトレースは付与しない）
+     * @param {String} message メッセージ
+     * @param {String} level ログレベル（"debug" | "info" | "warn" | "error"、デフォルト"info"）
+     * @param {Object} additionalInfo 追加情報（オプション）
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    captureMessage: function (message, level, additionalInfo) {
+      if (!this.initialized) {
+        this._logError(
+          "ClientErrorCapture must be initialized before capturing messages. Call ClientErrorCapture.init() first."
+        );
+        return this;
+      }
+
+      if (!this.config.enabled) {
+        if (this.config.logToConsole) {
+          this._log("Message not captured - ClientErrorCapture is disabled");
+        }
+        return this;
+      }
+
+      this._handleError({
+        type: "message",
+        level: this._normalizeLevel(level, "info"),
+        message: String(message),
+        additionalInfo: additionalInfo || {},
+      });
+      return this;
+    },
+
+    /**
+     * ブレッドクラムを手動で記録
+     * @param {Object|String} breadcrumb ブレッドクラム（category, message, level, data）またはメッセージ
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    addBreadcrumb: function (breadcrumb) {
+      if (!breadcrumb) {
+        return this;
+      }
+
+      var crumb = typeof breadcrumb === "string" ? { message: breadcrumb } : breadcrumb;
+      this._pushBreadcrumb({
+        timestamp: crumb.timestamp,
+        category: crumb.category || "manual",
+        level: crumb.level || "info",
+        message: crumb.message,
+        data: crumb.data,
+      });
+      return this;
+    },
+
+    /**
+     * 以降のイベントに付与するユーザー情報を設定する
+     * @param {Object|null} user ユーザー情報（id, email等）。nullで解除
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    setUser: function (user) {
+      this._scope.user = user ? Object.assign({}, user) : null;
+      return this;
+    },
+
+    /**
+     * 以降のイベントに付与するタグを設定する
+     * @param {String} key タグ名
+     * @param {String|Number|Boolean|null} value 値。null/undefinedで削除
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    setTag: function (key, value) {
+      if (value === null || value === undefined) {
+        delete this._scope.tags[key];
+      } else {
+        this._scope.tags[key] = String(value);
+      }
+      return this;
+    },
+
+    /**
+     * 以降のイベントに付与するコンテキストを設定する
+     * @param {String} name コンテキスト名
+     * @param {Object|null} context コンテキスト。nullで削除
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    setContext: function (name, context) {
+      if (context === null || context === undefined) {
+        delete this._scope.contexts[name];
+      } else {
+        this._scope.contexts[name] = Object.assign({}, context);
+      }
+      return this;
+    },
+
+    /**
+     * 一時的なスコープでコールバックを実行する
+     * コールバック内で設定したユーザー・タグ・コンテキストは、終了時に元に戻る
+     * コールバックは同期的に実行され、非同期処理の完了は待たない
+     * @param {Function} callback スコープ内で実行する関数（引数にクライアントを受け取る）
+     * @return {any} コールバックの戻り値
+     */
+    withScope: function (callback) {
+      var savedScope = this._scope;
+      this._scope = {
+        user: savedScope.user ? Object.assign({}, savedScope.user) : null,
+        tags: Object.assign({}, savedScope.tags),
+        contexts: Object.assign({}, savedScope.contexts),
+      };
+
+      try {
+        return callback(this);
+      } finally {
+        this._scope = savedScope;
+      }
+    },
+
     /**
      * 設定を更新する
      * @param {Object} newConfig 新しい設定
@@ -977,14 +4771,19 @@
      */
     updateConfig: function (newConfig) {
       if (!this.initialized) {
-        console.error(
+        this._logError(
           "ClientErrorCapture must be initialized before updating config. Call ClientErrorCapture.init() first."
         );
         return this;
       }
 
       this.userConfig = this._mergeConfig(this.userConfig, newConfig);
-      this.config = this._mergeConfig(this.defaultConfig, this.userConfig);
+      this.config = this._mergeConfig(this._mergeConfig(this.defaultConfig, this._detectedRelease), this.userConfig);
+
+      // ブレッドクラム・console捕捉の設定変更を反映
+      if (this.config.enabled) {
+        this._installInstrumentation();
+      }
 
       if (this.config.logToConsole) {
         this._log("Config updated:", this.config);
@@ -999,7 +4798,7 @@
      */
     disable: function () {
       if (!this.initialized) {
-        console.error(
+        this._logError(
           "ClientErrorCapture must be initialized before disabling. Call ClientErrorCapture.init() first."
         );
         return this;
@@ -1007,14 +4806,14 @@
 
       this.config.enabled = false;
 
-      // 元のエラーハンドラを復元
-      if (this.originalOnError !== null) {
-        window.onerror = this.originalOnError;
-      }
+      // エラーハンドラを解除（互換モードでは元のハンドラを復元）
+      this._uninstallHandler();
 
-      if (this.originalOnUnhandledRejection !== null) {
-        window.onunhandledrejection = this.originalOnUnhandledRejection;
-      }
+      // ブレッドクラム記録・console捕捉の計装を解除し、consoleを元に戻す
+      this._uninstallInstrumentation();
+
+      // プラグインのteardownを実行
+      this._teardownPlugins();
 
       if (this.config.logToConsole) {
         this._log("ClientErrorCapture disabled");
@@ -1029,7 +4828,7 @@
      */
     enable: function () {
       if (!this.initialized) {
-        console.error(
+        this._logError(
           "ClientErrorCapture must be initialized before enabling. Call ClientErrorCapture.init() first."
         );
         return this;
@@ -1039,6 +4838,8 @@
 
       // エラーハンドラを再インストール
       this._installHandler();
+      this._installInstrumentation();
+      this._setupPlugins();
 
       if (this.config.logToConsole) {
         this._log("ClientErrorCapture enabled");
@@ -1047,6 +4848,144 @@
       return this;
     },
 
+    /**
+     * プラグインを登録する
+     * 同名のプラグイン（デフォルトプラグインを含む）が登録済みの場合は置き換える
+     * init済みの場合はすぐにsetupを実行する（置き換えたプラグインはteardownを実行）
+     * @param {Object} plugin name（必須）と、setup, onEvent, beforeSend, afterSend, teardownのうち必要なフックを持つオブジェクト
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    use: function (plugin) {
+      if (!this._isPlugin(plugin)) {
+        return this;
+      }
+
+      var active = this.initialized && this.config.enabled;
+      var replaced = this._registerPlugin(plugin);
+      if (active) {
+        if (replaced) {
+          this._callPluginHook(replaced, "teardown", [this]);
+        }
+        this._callPluginHook(plugin, "setup", [this]);
+      }
+      return this;
+    },
+
+    /**
+     * 登録済みのプラグインを削除する（デフォルトプラグインも削除できる）
+     * init済みの場合は削除したプラグインのteardownを実行する
+     * @param {String} name プラグイン名
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    removePlugin: function (name) {
+      for (var i = 0; i < this._plugins.length; i++) {
+        if (this._plugins[i].name === name) {
+          var removed = this._plugins.splice(i, 1)[0];
+          if (this.initialized && this.config.enabled) {
+            this._callPluginHook(removed, "teardown", [this]);
+          }
+          break;
+        }
+      }
+      return this;
+    },
+
+    /**
+     * 破棄したイベントの統計を取得する
+     * dropped: 理由別の件数（"ignored", "sampled", "rateLimit", "sessionCap", "transformRequest", "minLevel", "beforeSend:<理由>"）
+     * processorErrors: beforeSendの処理ごと、プラグインごと（"plugin:<name>"）の例外件数
+     * @return {Object} 統計
+     */
+    getStats: function () {
+      return {
+        dropped: Object.assign({}, this._stats.dropped),
+        processorErrors: Object.assign({}, this._stats.processorErrors),
+      };
+    },
+
+    /**
+     * 独立した状態を持つクライアントを作成する
+     * マイクロフロントエンドなど、同じページで送信先やappNameを分けたい場合に使用する
+     * グローバルエラーはscriptUrlsで各クライアントに振り分けられる
+     * @param {Object} config ユーザー設定（指定した場合はinit済みのクライアントを返す）
+     * @return {Object} クライアント
+     */
+    createClient: function (config) {
+      var client = Object.create(ClientErrorCapture);
+      var state = ClientErrorCapture._createState();
+      for (var key in state) {
+        if (Object.prototype.hasOwnProperty.call(state, key)) {
+          client[key] = state[key];
+        }
+      }
+
+      return config ? client.init(config) : client;
+    },
+
+    /**
+     * Worker（workerDelivery: "postMessage"）から転送されるエラーを受信する
+     * @param {Worker|ServiceWorkerContainer} target Workerオブジェクトまたはnavigator.serviceWorker
+     * @return {Object} ClientErrorCaptureインスタンス
+     */
+    attachWorker: function (target) {
+      if (!target || typeof target.addEventListener !== "function") {
+        this._logError("attachWorker requires a Worker or navigator.serviceWorker.");
+        return this;
+      }
+
+      var self = this;
+      target.addEventListener("message", function (event) {
+        var data = event && event.data;
+        if (data && data.type === self._workerMessageType) {
+          self._receiveWorkerEvent(data.event);
+        }
+      });
+      return this;
+    },
+
+    /**
+     * クライアントごとに持つ可変状態の初期値を作成する
+     * @private
+     * @return {Object} 状態
+     */
+    _createState: function () {
+      return {
+        userConfig: {},
+        config: {},
+        deviceId: undefined,
+        _globalHandlers: null,
+        originalOnError: null,
+        originalOnUnhandledRejection: null,
+        lastErrorTime: 0,
+        _rateLimitBuckets: {},
+        _sessionErrorCount: 0,
+        _droppedErrors: { rateLimit: 0, sessionCap: 0, byFingerprint: {} },
+        _stats: { dropped: {}, processorErrors: {} },
+        _plugins: [],
+        _pluginsSetUp: false,
+        _session: null,
+        _sessionRestorers: [],
+        _detectedRelease: {},
+        _firstSeenEntries: null,
+        _budgetReportTimer: null,
+        _budgetReported: false,
+        initialized: false,
+        errorQueue: [],
+        isProcessingQueue: false,
+        _inFlightItems: [],
+        _pendingRetries: [],
+        _batchTimer: null,
+        _dedupeEntries: {},
+        _persistentStorePromise: null,
+        _breadcrumbBuffer: [],
+        _breadcrumbHead: 0,
+        _breadcrumbSize: 0,
+        _scope: { user: null, tags: {}, contexts: {} },
+        _instrumentationRestorers: [],
+        _sourceMapCache: {},
+      };
+    },
+
     /**
      * ブラウザ情報を取得する
      * @private
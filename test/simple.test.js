@@ -67,6 +67,8 @@ const resetLibraryState = () => {
     ClientErrorCapture.lastErrorTime = 0;
     ClientErrorCapture.errorQueue = [];
     ClientErrorCapture.isProcessingQueue = false;
+    ClientErrorCapture._inFlightItems = [];
+    ClientErrorCapture._pendingRetries = [];
   }
 };
 